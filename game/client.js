@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+'use strict'; /*jslint node:true*/
+const net = require('net');
+const loader = require('./loader.js');
+const stdio = require('./stdio.js');
+const websocket = require('./websocket.js');
+const getopt = require('node-getopt').create([
+    ['H', 'host=HOST', 'host to connect to (default: localhost)'],
+    ['w', 'websocket', 'connect over WebSocket instead of plain TCP'],
+    ['u', 'unsafe', 'use unsafe solution loader without VM'],
+    ['h', 'help', 'show this text'],
+]).bindHelp(`Usage: node client.js [OPTION...] PORT SCRIPT.js
+
+[[OPTIONS]]
+
+Connect to a game started with jsdash.js --listen=PORT and play it with a JS AI
+script (the same kind as for jsdash.js --ai).`);
+
+function main()
+{
+    let {options, argv} = getopt.parseSystem();
+    if (argv.length!=2)
+        return getopt.showHelp();
+    let [port, script] = argv;
+    let host = options.host||'localhost';
+    let ai = (options.unsafe ? loader.load_unsafe : loader.load)(script);
+    let onerror = err=>{
+        if (err.code=='ECONNRESET') // the game ended and jsdash.js exited
+            process.exit(0);
+        console.error(err.message);
+        process.exit(1);
+    };
+    if (options.websocket)
+    {
+        websocket.WebSocket.connect(host, +port, (err, ws)=>{
+            if (err)
+                return onerror(err);
+            ws.on('error', onerror);
+            ws.on('close', ()=>process.exit(0));
+            stdio.serve(ws, ws, ai);
+        });
+        return;
+    }
+    let socket = net.connect(+port, host, ()=>stdio.serve(socket, socket, ai));
+    socket.on('error', onerror);
+    socket.on('close', ()=>process.exit(0));
+}
+
+main();
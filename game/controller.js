@@ -1,21 +1,19 @@
 'use strict'; /*jslint node:true*/
+const child_process = require('child_process');
 const cluster = require('cluster');
 const events = require('events');
+const net = require('net');
 const game = require('./game.js');
 const loader = require('./loader.js');
+const websocket = require('./websocket.js');
 
-function char2dir(c){
-    switch (c){
-    case 'u': return game.UP;
-    case 'd': return game.DOWN;
-    case 'r': return game.RIGHT;
-    case 'l': return game.LEFT;
-    }
-}
-
+// Controllers of AI keep in current the frame number and the screen {frame,
+// screen} they are deciding on, for reporting where an error happened
 class Controller extends events.EventEmitter {
     init(){}
-    onupdate(screen){}
+    // signal is sent on level change in campaigns, and frame is the number of
+    // the frame the screen shows
+    onupdate(screen, signal, frame){}
     destroy(){}
 }
 
@@ -23,16 +21,24 @@ class Keyboard extends Controller {
     constructor(){
         super();
         process.stdin.setRawMode(true);
+        this.number = ''; // digits typed so far, for jumping to a frame
         this._ondata = this.ondata.bind(this);
         process.stdin.addListener('data', this._ondata);
     }
     init(){ this.emit('ready'); }
     ondata(data){
         let input = data.toString();
-        let re = /(\x03$|\x1b\[[ABCD]|\x1b$|[pPqQ ])/g;
+        let re = /(\x03$|\x1b\[[ABCD]|\x1b$|[pPqQ ,.<>+=\-nNgG\r0-9])/g;
         let m;
         while (m = re.exec(input))
         {
+            if (/^[0-9]$/.test(m[1]))
+            {
+                this.number += m[1];
+                continue;
+            }
+            let number = this.number;
+            this.number = '';
             switch (m[1])
             {
             case '\x1b[A': this.emit('control', game.UP); break;
@@ -41,6 +47,15 @@ class Keyboard extends Controller {
             case '\x1b[D': this.emit('control', game.LEFT); break;
             case ' ': this.emit('control', undefined); break;
             case 'p': case 'P': this.emit('pause', undefined); break;
+            case ',': case '<': this.emit('step', -1); break;
+            case '.': case '>': this.emit('step', 1); break;
+            case '+': case '=': this.emit('speed', 2); break;
+            case '-': this.emit('speed', 0.5); break;
+            case 'n': case 'N': this.emit('next'); break;
+            case 'g': case 'G': case '\r':
+                if (number)
+                    this.emit('goto', +number);
+                break;
             case '\x1b': // Esc
             case '\x03': // Ctrl-C
             case 'q': case 'Q':
@@ -55,10 +70,33 @@ class Keyboard extends Controller {
     }
 }
 
+const CPU_POLICIES = ['skip', 'end', 'forfeit'];
+// a script taking HANG_FACTOR times its limit (but at least HANG_MIN_MS) of
+// real time is considered hung and killed
+const HANG_FACTOR = 10, HANG_MIN_MS = 1000;
+const DEFAULT_HEAP_MB = 512; // for the worker process
+
+// Runs an AI script in a worker process. The optional limits {move_ms,
+// total_ms, init_ms, policy} restrict the CPU time of the script (measured by
+// the worker, so that the results do not depend on the load of the machine)
+// per move, in total and for loading it. When a limit is exceeded, the
+// violation is recorded in the report, and depending on the policy, the move
+// is skipped (after the total budget is used up, all further moves are),
+// the controller emits 'end' to end the game, or the player forfeits with an
+// error. Hung scripts are killed in any case. limits.heap_mb caps the heap of
+// the worker process. Errors are emitted with a violation {type, message} as
+// the second argument if the script broke the rules of the sandbox (see
+// loader.SandboxViolation) or ran out of memory. sandbox has the options of
+// loader.load().
 class AI extends Controller {
-    constructor(script, unsafe){
+    constructor(script, unsafe, limits, sandbox){
         super();
-        this.worker = cluster.fork({script, unsafe: +unsafe});
+        this.limits = limits||{};
+        let heap_mb = this.limits.heap_mb||DEFAULT_HEAP_MB;
+        cluster.setupMaster({execArgv: process.execArgv.concat(
+            `--max-old-space-size=${heap_mb}`)});
+        this.worker = cluster.fork({script, unsafe: +unsafe,
+            sandbox: JSON.stringify(sandbox||{})});
         this._onmessage = this.onmessage.bind(this);
         this._ononline = this.ononline.bind(this);
         this._onerror = this.onerror.bind(this);
@@ -72,35 +110,154 @@ class AI extends Controller {
         this.report = {};
         this.dropped = 0;
         this.busy = false;
+        this.signal = undefined; // not delivered yet
+        this.current = undefined;
+        this.first = undefined; // the screen sent while loading
+        this.violations = [];
+        this.skipped = 0; // moves requested after the total budget was used up
+        this.exhausted = false;
+        this.loaded = false;
+        this.watchdog = undefined;
+        this.disconnected = undefined; // timer waiting for the exit
+        if (this.limits.init_ms)
+            this.watch('init', this.limits.init_ms);
     }
     init(){}
-    onupdate(screen){
-        if (this.busy)
+    onupdate(screen, signal, frame){
+        if (signal)
+            this.signal = signal;
+        if (this.exhausted) // the player stays still
+        {
+            this.report.skipped = ++this.skipped;
+            setImmediate(()=>this.emit('control', undefined));
+        }
+        else if (this.busy)
             this.dropped++;
         else
         {
             this.busy = true;
-            this.worker.send(screen);
+            // errors before the script is loaded are not errors of a move
+            if (this.loaded)
+                this.current = {frame, screen};
+            else
+                this.first = {frame, screen};
+            this.worker.send({screen, signal: this.signal, frame});
+            this.signal = undefined;
+            if (this.loaded)
+                this.watch_move();
         }
     }
+    watch_move(){
+        let {move_ms, total_ms} = this.limits, limits = [];
+        if (move_ms)
+            limits.push(move_ms);
+        if (total_ms) // what is left of it
+            limits.push(Math.max(total_ms-(this.report.total_ms||0), 0));
+        if (limits.length)
+            this.watch('move', Math.min(...limits));
+    }
+    watch(type, ms){
+        ms = Math.max(HANG_MIN_MS, ms*HANG_FACTOR);
+        this.watchdog = setTimeout(()=>this.onhang(type, ms), ms);
+    }
     onmessage(msg){
-        this.busy = false;
+        clearTimeout(this.watchdog);
         if (msg.report)
-            this.report = Object.assign(msg.report, {dropped: this.dropped});
+            this.update_report(msg.report);
+        if (msg.init) // loaded
+        {
+            this.loaded = true;
+            if (this.busy) // the first screen is waiting
+            {
+                this.current = this.first;
+                this.watch_move();
+            }
+            let limit = this.limits.init_ms;
+            if (limit && msg.report.init_ms>limit)
+            {
+                this.violate({type: 'init', ms: msg.report.init_ms, limit},
+                    ()=>{});
+            }
+            return;
+        }
+        this.busy = false;
         if ('error' in msg)
-            this.emit('error', String(msg.error||'Runtime error'));
-        else if (msg.res.done || msg.res.value=='q')
+        {
+            return this.emit('error', String(msg.error||'Runtime error'),
+                msg.violation);
+        }
+        let {move_ms, total_ms} = this.limits;
+        let move = this.report.processed;
+        if (total_ms && this.report.total_ms>total_ms)
+        {
+            return this.violate({type: 'total', move,
+                ms: this.report.total_ms, limit: total_ms},
+                ()=>this.exhausted = true);
+        }
+        if (move_ms && msg.ms>move_ms)
+        {
+            return this.violate({type: 'move', move, ms: msg.ms,
+                limit: move_ms}, ()=>{});
+        }
+        if (msg.res.done || msg.res.value=='q')
             this.emit('quit');
         else
-            this.emit('control', char2dir(msg.res.value));
+            this.emit('control', game.char2dir(msg.res.value));
+    }
+    update_report(report){
+        this.report = Object.assign(report, {dropped: this.dropped});
+        if (this.skipped)
+            report.skipped = this.skipped;
+        if (this.violations.length)
+            report.violations = this.violations;
+    }
+    // records a violation of the limits and applies the policy, calling skip
+    // for the skip policy
+    violate(violation, skip){
+        this.violations.push(violation);
+        this.update_report(this.report);
+        let msg = `CPU limit exceeded: ${violation.type} took`
+            +` ${violation.ms} ms, limit ${violation.limit} ms`;
+        switch (this.limits.policy||'skip')
+        {
+        case 'skip':
+            skip();
+            if (violation.type!='init')
+                this.emit('control', undefined);
+            break;
+        case 'end': this.emit('end', msg); break;
+        case 'forfeit': this.emit('error', msg); break;
+        }
+    }
+    onhang(type, ms){
+        this.violations.push({type: 'hang', ms});
+        this.update_report(this.report);
+        let msg = `AI hung: no response to ${type} in ${ms} ms`;
+        if (this.limits.policy=='end')
+            this.emit('end', msg);
+        else
+            this.emit('error', msg);
     }
     ononline(){ this.emit('ready'); }
     onerror(err){ this.emit('error', err); }
-    ondisconnect(){ this.emit('error', 'disconnect'); }
+    // the worker exiting tells more, e.g. if it ran out of memory
+    ondisconnect(){
+        this.disconnected = setTimeout(()=>this.emit('error', 'disconnect'),
+            HANG_MIN_MS);
+    }
     onexit(code, signal){
+        clearTimeout(this.disconnected);
+        if (signal=='SIGABRT') // how V8 ends a process out of memory
+        {
+            let message = 'out of memory (heap limit'
+                +` ${this.limits.heap_mb||DEFAULT_HEAP_MB} MB)`;
+            return this.emit('error', message, {type: 'memory', message});
+        }
         this.emit('error', signal || `exited with code ${code}`);
     }
     destroy(){
+        clearTimeout(this.watchdog);
+        clearTimeout(this.disconnected);
         this.worker.removeListener('message', this._onmessage);
         this.worker.removeListener('online', this._ononline);
         this.worker.removeListener('error', this._onerror);
@@ -112,22 +269,37 @@ class AI extends Controller {
     }
     static worker_run(){
         let ai, res;
-        let load = +process.env.unsafe ? loader.load_unsafe : loader.load;
-        let started = Date.now();
-        try { ai = load(process.env.script);
-        } catch(e){ return process.send({error: String(e.stack||e)}); }
-        let report = {processed: 0, init_ms: Date.now()-started,
+        let {script, unsafe, sandbox} = process.env;
+        let load = +unsafe ? loader.load_unsafe : loader.load;
+        let cpu_ms = usage=>(usage.user+usage.system)/1000;
+        let started = process.cpuUsage();
+        let send_error = e=>process.send(e instanceof loader.SandboxViolation
+            ? {error: String(e), violation: e.violation}
+            : {error: String(e.stack||e)});
+        try { ai = load(script, JSON.parse(sandbox||'{}'));
+        } catch(e){ return send_error(e); }
+        let total = 0; // unrounded
+        let report = {processed: 0,
+            init_ms: Math.round(cpu_ms(process.cpuUsage(started))),
             total_ms: 0, max_ms: 0};
-        process.on('message', screen=>{
-            started = Date.now();
-            try { res = ai(screen);
-            } catch(e){ return process.send({error: String(e.stack||e)}); }
-            let ms = Date.now()-started;
+        process.send({init: true, report});
+        let done = res=>{
+            let ms = cpu_ms(process.cpuUsage(started));
+            total += ms;
+            ms = Math.round(ms);
             report.processed++;
-            report.total_ms += ms;
+            report.total_ms = Math.round(total);
             if (report.max_ms<ms)
                 report.max_ms = ms;
-            process.send({res, report});
+            process.send({res, report, ms});
+        };
+        process.on('message', ({screen, signal, frame})=>{
+            started = process.cpuUsage();
+            try { res = ai(screen, signal, frame);
+            } catch(e){ return send_error(e); }
+            // promise jobs of the script run here, unless the sandbox runs
+            // them within the call (see loader.CONTEXT_OPTIONS)
+            setImmediate(()=>done(res));
         });
     }
 }
@@ -137,6 +309,7 @@ class InProcessAI extends Controller {
         super();
         this.script = script;
         this.wrapper = undefined;
+        this.current = undefined;
     }
     init(){
         try {
@@ -146,17 +319,219 @@ class InProcessAI extends Controller {
         }
         this.emit('ready');
     }
-    onupdate(screen){
+    onupdate(screen, signal, frame){
         let res;
+        this.current = {frame, screen};
         try {
-            res = this.wrapper(screen);
+            res = this.wrapper(screen, signal);
         } catch(e){
             return this.emit('error', String(e.stack||e));
         }
         if (res.done || res.value=='q')
             this.emit('quit');
         else
-            this.emit('control', char2dir(res.value));
+            this.emit('control', game.char2dir(res.value));
+    }
+}
+
+// Base class for AI running in a different process and communicating with
+// newline-delimited JSON: {"screen": [...]} is sent on every update (with
+// "signal" on level change in campaigns), and the AI must reply to each of
+// them with a command: "u", "d", "r", "l", " " or "q", or report a failure
+// with {"error": "..."} (and "violation" if the sandbox of stdio.js caught the
+// script breaking its rules). Updates are dropped while the AI is busy, like
+// in AI.
+class StreamAI extends Controller {
+    constructor(){
+        super();
+        this.input = undefined;
+        this.output = undefined;
+        this.buffer = '';
+        this.report = {processed: 0, total_ms: 0, max_ms: 0};
+        this.dropped = 0;
+        this.busy = false;
+        this.sent = undefined;
+        this.signal = undefined; // not delivered yet
+        this.current = undefined;
+        this._ondata = this.ondata.bind(this);
+        this._onerror = this.onerror.bind(this);
+    }
+    attach(input, output){
+        this.input = input;
+        this.output = output;
+        input.setEncoding('utf8');
+        input.addListener('data', this._ondata);
+        input.addListener('error', this._onerror);
+        output.addListener('error', this._onerror);
+    }
+    onupdate(screen, signal, frame){
+        if (signal)
+            this.signal = signal;
+        if (this.busy)
+            this.dropped++;
+        else
+        {
+            this.busy = true;
+            this.current = {frame, screen};
+            this.sent = Date.now();
+            this.send(this.signal ? {screen, signal: this.signal} : {screen});
+            this.signal = undefined;
+        }
+    }
+    send(msg){ this.output.write(JSON.stringify(msg)+'\n'); }
+    ondata(data){
+        this.buffer += data;
+        let lines = this.buffer.split('\n');
+        this.buffer = lines.pop();
+        for (let line of lines)
+        {
+            if (line.trim())
+                this.onmessage(line);
+        }
+    }
+    onmessage(text){
+        let command;
+        try { command = JSON.parse(text);
+        } catch(e){
+            return this.emit('error', `Invalid message from AI: ${text}`);
+        }
+        if (!this.busy)
+            return this.emit('error', `Unexpected message from AI: ${text}`);
+        if (command && typeof command=='object' && 'error' in command)
+        {
+            return this.emit('error', String(command.error||'Runtime error'),
+                command.violation);
+        }
+        if (typeof command!='string' || !/^[udrlq ]?$/.test(command))
+            return this.emit('error', `Invalid command from AI: ${text}`);
+        this.busy = false;
+        let ms = Date.now()-this.sent;
+        this.report.processed++;
+        this.report.total_ms += ms;
+        if (this.report.max_ms<ms)
+            this.report.max_ms = ms;
+        this.report.dropped = this.dropped;
+        if (command=='q')
+            this.emit('quit');
+        else
+            this.emit('control', game.char2dir(command));
+    }
+    onerror(err){ this.emit('error', String(err.message||err)); }
+    destroy(){
+        if (this.input)
+        {
+            this.input.removeListener('data', this._ondata);
+            this.input.removeListener('error', this._onerror);
+            this.output.removeListener('error', this._onerror);
+        }
+        super.destroy();
+    }
+}
+
+// AI running as an arbitrary shell command, talking over stdin/stdout
+class StdioAI extends StreamAI {
+    constructor(command){
+        super();
+        this.command = command;
+        this.child = undefined;
+        this._onexit = this.onexit.bind(this);
+    }
+    init(){
+        this.child = child_process.spawn(this.command,
+            {shell: true, stdio: ['pipe', 'pipe', 'inherit']});
+        this.child.addListener('error', this._onerror);
+        this.child.addListener('exit', this._onexit);
+        this.attach(this.child.stdout, this.child.stdin);
+        setImmediate(()=>this.emit('ready'));
+    }
+    onexit(code, signal){
+        this.emit('error', signal || `exited with code ${code}`);
+    }
+    destroy(){
+        if (this.child)
+        {
+            this.child.removeListener('error', this._onerror);
+            this.child.removeListener('exit', this._onexit);
+            this.child.kill();
+            this.child = undefined;
+        }
+        super.destroy();
+    }
+}
+
+// Client connecting over TCP or WebSocket and speaking the protocol of
+// StreamAI (with one message per line or per WebSocket message). WebSocket
+// clients are recognized by their HTTP request; TCP clients are expected not
+// to send anything until they receive the first screen.
+class Remote extends StreamAI {
+    constructor(port){
+        super();
+        this.port = port;
+        this.server = undefined;
+        this.socket = undefined;
+        this.protocol = undefined;
+        this._onclose = this.onclose.bind(this);
+    }
+    init(){
+        this.server = net.createServer(socket=>this.onconnection(socket));
+        this.server.addListener('error', this._onerror);
+        this.server.listen(this.port, ()=>this.emit('listening'));
+    }
+    onconnection(socket){
+        if (this.socket) // only one client at a time
+            return socket.destroy();
+        this.socket = socket;
+        let head = Buffer.alloc(0);
+        let start = protocol=>{
+            clearTimeout(timer);
+            socket.removeListener('data', ondata);
+            socket.addListener('close', this._onclose);
+            this.protocol = protocol;
+            if (protocol=='tcp')
+            {
+                this.attach(socket, socket);
+                if (head.length)
+                    this.ondata(head.toString('utf8'));
+            }
+            else
+            {
+                let text = head.toString('latin1');
+                let end = text.indexOf('\r\n\r\n')+4;
+                let ws = websocket.WebSocket.accept(socket, text.slice(0, end));
+                if (!ws)
+                    return this.emit('error', 'Invalid WebSocket request');
+                this.attach(ws, ws);
+                if (end<head.length)
+                    ws.ondata(head.slice(end));
+            }
+            this.emit('ready');
+        };
+        let ondata = data=>{
+            head = Buffer.concat([head, data]);
+            if (!/^GET /.test(head.slice(0, 4).toString('latin1')))
+            {
+                if (head.length>=4 || !'GET '.startsWith(head.toString()))
+                    start('tcp');
+            }
+            else if (head.includes('\r\n\r\n'))
+                start('websocket');
+        };
+        let timer = setTimeout(()=>start('tcp'), 500);
+        socket.addListener('data', ondata);
+        socket.addListener('error', this._onerror);
+    }
+    onclose(){ this.emit('error', 'disconnect'); }
+    destroy(){
+        if (this.socket)
+        {
+            this.socket.removeListener('close', this._onclose);
+            this.socket.removeListener('error', this._onerror);
+            this.socket.addListener('error', ()=>{}); // closing anyway
+            (this.output||this.socket).end();
+        }
+        if (this.server)
+            this.server.close();
+        super.destroy();
     }
 }
 
@@ -172,8 +547,9 @@ class Replay extends Controller {
         if (c=='q')
             this.emit('quit');
         else
-            this.emit('control', char2dir(c));
+            this.emit('control', game.char2dir(c));
     }
 }
 
-module.exports = {Keyboard, AI, InProcessAI, Replay};
+module.exports = {CPU_POLICIES, DEFAULT_HEAP_MB, Keyboard, AI, InProcessAI,
+    StreamAI, StdioAI, Remote, Replay};
@@ -0,0 +1,204 @@
+'use strict'; /*jslint node:true*/
+const game = require('./game.js');
+const timeline = require('./timeline.js');
+
+module.exports = {asciicast, html};
+
+const DEFAULT_INTERVAL = 100;
+
+function* frames(log){
+    let tl = new timeline.Timeline(log);
+    let sim = tl.simulation_at(0);
+    while (true)
+    {
+        yield sim;
+        if (sim.frame()>=tl.frames)
+            break;
+        sim.step(tl.command(sim.frame()));
+    }
+}
+
+function visible_length(line){
+    return line.replace(/\x1b\[[0-9;]*[A-Za-z]/g, '').length; }
+
+// Renders a logged game as an asciinema recording (asciicast v2 format)
+function asciicast(log, interval){
+    interval = interval||log.interval||DEFAULT_INTERVAL;
+    let events = [], width = 0, height = 0, t = 0;
+    for (let sim of frames(log))
+    {
+        let screen = sim.world.render(true, true);
+        width = Math.max(width, ...screen.map(visible_length));
+        height = Math.max(height, screen.length);
+        let data = '\x1b[;H'+screen.join('\r\n');
+        if (!events.length) // clear screen, hide cursor
+            data = '\x1b[2J\x1b[?25l'+data;
+        events.push([+t.toFixed(6), 'o', data]);
+        t += interval/1000;
+    }
+    // reset color, show cursor
+    events.push([+t.toFixed(6), 'o', '\x1b[0m\x1b[?25h\r\n']);
+    let header = {version: 2, width, height: height+1,
+        timestamp: Math.floor(Date.now()/1000),
+        env: {TERM: 'xterm-256color'}};
+    if (log.cave_source=='generated')
+        header.title = `JSDash, seed ${log.seed}`;
+    else if (log.cave_source=='file')
+        header.title = `JSDash, ${log.cave_file}`;
+    return [header].concat(events).map(e=>JSON.stringify(e)).join('\n')+'\n';
+}
+
+function html_escape(s){
+    return String(s).replace(/[&<>"]/g, c=>`&#${c.charCodeAt(0)};`); }
+
+// Renders a logged game as a self-contained HTML page with a player. Every
+// distinct line of ANSI output is stored once, and frames refer to lines by
+// index; the page converts ANSI colors into styled spans.
+function html(log, interval){
+    interval = interval||log.interval||DEFAULT_INTERVAL;
+    let lines = [], line_ids = new Map(), data = [], scores = [];
+    for (let sim of frames(log))
+    {
+        data.push(sim.world.render(true, true).map(line=>{
+            line = line.replace(/\x1b\[K/g, '');
+            if (!line_ids.has(line))
+            {
+                line_ids.set(line, lines.length);
+                lines.push(line);
+            }
+            return line_ids.get(line);
+        }));
+        let players = sim.world.players;
+        scores.push(players.length==1 ? players[0].score : players.map(
+            (player, i)=>`${game.PLAYER_CHARS[i]}:${player.score}`).join(' '));
+    }
+    let title = 'JSDash replay';
+    if (log.cave_source=='generated')
+        title += `, seed ${log.seed}`;
+    else if (log.cave_source=='file')
+        title += `, ${log.cave_file}`;
+    let json = JSON.stringify({interval, lines, frames: data, scores})
+        .replace(/</g, '\\u003c');
+    return HTML_TEMPLATE.replace(/%TITLE%/g, html_escape(title))
+        .replace('%DATA%', ()=>json);
+}
+
+const HTML_TEMPLATE = `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>%TITLE%</title>
+<style>
+body { background: #222; color: #ccc; font-family: sans-serif; }
+pre { display: inline-block; margin: 0; padding: 4px; background: #000;
+    font: 16px/1.15 monospace; }
+#controls { margin: 8px 0; display: flex; align-items: center; gap: 12px; }
+#scrub { width: 360px; }
+</style>
+</head>
+<body>
+<h3>%TITLE%</h3>
+<pre id="screen"></pre>
+<div id="controls">
+<button id="play">Play</button>
+<input id="scrub" type="range" min="0" value="0">
+<span id="counter"></span>
+<span id="score"></span>
+</div>
+<script>
+'use strict';
+const data = %DATA%;
+const palette = ['#000', '#c00', '#0c0', '#cc0', '#00c', '#c0c', '#0cc',
+    '#ccc'];
+const bright = ['#666', '#f55', '#5f5', '#ff5', '#55f', '#f5f', '#5ff',
+    '#fff'];
+const cache = [];
+function escape(s){
+    return s.replace(/[&<>]/g, c=>'&#'+c.charCodeAt(0)+';'); }
+function style(codes){
+    let fg = 7, bg = 0, bold = false;
+    for (let code of codes.split(';').map(Number))
+    {
+        if (code==0)
+        {
+            fg = 7;
+            bg = 0;
+            bold = false;
+        }
+        else if (code==1)
+            bold = true;
+        else if (code>=30 && code<=37)
+            fg = code-30;
+        else if (code>=40 && code<=47)
+            bg = code-40;
+    }
+    return 'color:'+(bold ? bright : palette)[fg]+';background:'+palette[bg];
+}
+function render_line(id){
+    if (cache[id]===undefined)
+    {
+        let parts = data.lines[id].split(/\\x1b\\[([0-9;]*)m/);
+        let res = '', codes = '0';
+        for (let i = 0; i<parts.length; i++)
+        {
+            if (i%2) // odd parts are captured color codes
+                codes = parts[i];
+            else if (parts[i])
+            {
+                res += '<span style="'+style(codes)+'">'+escape(parts[i])
+                    +'</span>';
+            }
+        }
+        cache[id] = res;
+    }
+    return cache[id];
+}
+const screen = document.getElementById('screen');
+const play = document.getElementById('play');
+const scrub = document.getElementById('scrub');
+const counter = document.getElementById('counter');
+const score = document.getElementById('score');
+const last = data.frames.length-1;
+let frame = 0, timer;
+scrub.max = last;
+function show(n){
+    frame = Math.max(0, Math.min(n, last));
+    screen.innerHTML = data.frames[frame].map(render_line).join('\\n');
+    scrub.value = frame;
+    counter.textContent = 'Frame '+frame+' / '+last;
+    score.textContent = 'Score: '+data.scores[frame];
+}
+function pause(){
+    clearInterval(timer);
+    timer = undefined;
+    play.textContent = 'Play';
+}
+function toggle(){
+    if (timer)
+        return pause();
+    if (frame==last)
+        show(0);
+    play.textContent = 'Pause';
+    timer = setInterval(()=>{
+        show(frame+1);
+        if (frame==last)
+            pause();
+    }, data.interval);
+}
+play.addEventListener('click', toggle);
+scrub.addEventListener('input', ()=>show(+scrub.value));
+document.addEventListener('keydown', e=>{
+    switch (e.key)
+    {
+    case ' ': toggle(); break;
+    case 'ArrowLeft': pause(); show(frame-1); break;
+    case 'ArrowRight': pause(); show(frame+1); break;
+    default: return;
+    }
+    e.preventDefault();
+});
+show(0);
+</script>
+</body>
+</html>
+`;
@@ -4,6 +4,25 @@ const UP = 0, RIGHT = 1, DOWN = 2, LEFT = 3;
 function cw(dir){ return (dir+1) % 4; }
 function ccw(dir){ return (dir+3) % 4; }
 
+function char2dir(c){
+    switch (c){
+    case 'u': return UP;
+    case 'd': return DOWN;
+    case 'r': return RIGHT;
+    case 'l': return LEFT;
+    }
+}
+
+function dir2char(dir){
+    switch (dir){
+    case UP: return 'u';
+    case DOWN: return 'd';
+    case RIGHT: return 'r';
+    case LEFT: return 'l';
+    }
+    return ' ';
+}
+
 class Point {
     constructor(x, y){
         this.x = x;
@@ -39,18 +58,31 @@ class Thing { // it would be a bad idea to name a class Object :-)
             this.world.set(to, this);
     }
     update(){ this.mark = this.world.frame; }
-    get_char(){}
-    get_color(){}
+    clone(world){ // copy of this object for use in another world
+        return Object.assign(Object.create(Object.getPrototypeOf(this)),
+            this, {world});
+    }
+    save(){ // own state, except for references to the world and position
+        let res = Object.assign({}, this);
+        delete res.world;
+        delete res.point;
+        return res;
+    }
+    get_char(viewer){} // viewer is the player whose screen is rendered
+    get_color(viewer){}
     is_rounded(){ return false; } // objects roll off it?
     is_consumable(){ return false; } // consumed by explosions?
     is_settled(){ return true; } // no need to postpone game-over?
     hit(){} // hit by explosion or falling object
-    walk_into(dir){ return false; } // can walk into?
+    let_through(thing){ return false; } // falling thing passes through?
+    walk_into(dir, player){ return false; } // can walk into?
+    is_opaque(){ return false; } // hides what is behind it (see Fog)?
 }
 
 class SteelWall extends Thing {
     get_char(){ return '#'; }
     get_color(){ return '37;46'; } // white on cyan
+    is_opaque(){ return true; }
 }
 
 class BrickWall extends Thing {
@@ -58,6 +90,61 @@ class BrickWall extends Thing {
     get_color(){ return '30;41'; } // black on red
     is_rounded(){ return true; }
     is_consumable(){ return true; }
+    is_opaque(){ return true; }
+}
+
+const MAGIC_WALL_FRAMES = 200;
+
+// Looks like a brick wall until a falling object hits it. Then all magic walls
+// in the cave become active for world.magic_wall_frames frames, letting
+// falling boulders through as diamonds and diamonds as boulders, and after
+// that they stay inactive for good.
+class MagicWall extends Thing {
+    get_char(){ return '='; }
+    get_color(){
+        if (this.world.magic_wall_state=='active' && this.world.frame%2)
+            return '1;37;41'; // bright white on red
+        return '30;41'; // black on red
+    }
+    is_consumable(){ return true; }
+    is_opaque(){ return true; }
+    let_through(thing){
+        let world = this.world;
+        if (world.magic_wall_state=='expired')
+            return false;
+        if (world.magic_wall_state=='dormant')
+        {
+            world.magic_wall_state = 'active';
+            world.magic_wall_left = world.magic_wall_frames;
+        }
+        world.set(thing.point);
+        let under = this.point.down();
+        if (!world.get(under)) // otherwise, it is lost
+        {
+            let res = thing.transmute();
+            res.falling = true;
+            world.set(under, res);
+        }
+        return true;
+    }
+}
+
+// The player completes the level by walking into the exit once it is open
+// (after collecting world.quota diamonds) and leaves the cave; outside of the
+// classic mode, the exit stays closed
+class Exit extends Thing {
+    get_char(viewer){ return this.world.is_exit_open(viewer) ? 'e' : 'E'; }
+    get_color(viewer){
+        if (this.world.is_exit_open(viewer) && this.world.frame%2)
+            return '1;37;42'; // bright white on green
+        return '37;46'; // white on cyan, like steel walls
+    }
+    walk_into(dir, player){
+        if (this.world.is_exit_open(player))
+            this.world.level_completed(player);
+        return false;
+    }
+    is_opaque(){ return true; }
 }
 
 class Dirt extends Thing {
@@ -65,6 +152,7 @@ class Dirt extends Thing {
     get_color(){ return '37'; } // white on black
     is_consumable(){ return true; }
     walk_into(dir){ return true; }
+    is_opaque(){ return true; }
 }
 
 class LooseThing extends Thing { // an object affected by gravity
@@ -83,6 +171,8 @@ class LooseThing extends Thing { // an object affected by gravity
         }
         if (target && this.falling)
         {
+            if (target.let_through(this))
+                return;
             target.hit();
             this.falling = false;
         }
@@ -102,11 +192,13 @@ class LooseThing extends Thing { // an object affected by gravity
     is_rounded(){ return !this.falling; }
     is_consumable(){ return true; }
     is_settled(){ return !this.falling; }
+    transmute(){} // what it turns into when passing through a magic wall
 }
 
 class Boulder extends LooseThing {
     get_char(){ return 'O'; }
     get_color(){ return '1;34'; } // bright blue on black
+    transmute(){ return new Diamond(this.world); }
     walk_into(dir){
         if (this.falling || dir==UP || dir==DOWN)
             return false;
@@ -118,27 +210,33 @@ class Boulder extends LooseThing {
         }
         return false;
     }
+    is_opaque(){ return true; }
 }
 
 class Diamond extends LooseThing {
     get_char(){ return '*'; }
     get_color(){ return '1;33'; } // bright yellow on black
-    walk_into(dir){
-        this.world.diamond_collected();
+    transmute(){ return new Boulder(this.world); }
+    walk_into(dir, player){
+        this.world.diamond_collected(player);
         return true;
     }
 }
 
 class Explosion extends Thing {
-    constructor(world){
+    constructor(world, into_space){
         super(world);
         this.stage = 0;
+        this.into_space = !!into_space; // rather than into a diamond
     }
     get_char(){ return '*'; }
     get_color(){ return ['37;47', '1;31;47', '1;31;43', '1;37'][this.stage]; }
     update(){
         if (++this.stage>3)
-            this.world.set(this.point, new Diamond(this.world));
+        {
+            this.world.set(this.point,
+                this.into_space ? undefined : new Diamond(this.world));
+        }
     }
     is_settled(){ return false; }
 }
@@ -162,22 +260,26 @@ class Butterfly extends Thing {
         {
             if (!neighbor)
                 locked = false;
-            else if (neighbor===this.world.player)
+            else if (neighbor instanceof Player
+                || neighbor instanceof Amoeba)
+            {
                 return this.explode();
+            }
         }
         if (locked)
             return this.explode();
-        let left = ccw(this.dir);
-        if (!neighbors[left])
+        let side = this.wall_side(this.dir);
+        if (!neighbors[side])
         {
-            this.move(points[left]);
-            this.dir = left;
+            this.move(points[side]);
+            this.dir = side;
         }
         else if (!neighbors[this.dir])
             this.move(points[this.dir]);
         else
-            this.dir = cw(this.dir);
+            this.dir = (side+2)%4; // turn away from the wall
     }
+    wall_side(dir){ return ccw(dir); } // follows the wall on its left
     is_consumable(){ return true; }
     hit(){
         if (this.alive)
@@ -200,20 +302,102 @@ class Butterfly extends Thing {
                     if (target!==this)
                         target.hit();
                 }
-                this.world.set(point, new Explosion(this.world));
+                this.world.set(point,
+                    new Explosion(this.world, this.explodes_into_space()));
             }
         }
-        this.world.butterfly_killed();
+        this.killed();
+    }
+    explodes_into_space(){ return false; }
+    killed(){ this.world.butterfly_killed(); }
+}
+
+// Follows the wall on its right and explodes into empty space
+class Firefly extends Butterfly {
+    get_char(){ return '%&'[this.world.frame%2]; }
+    get_color(){ return '1;36'; } // bright cyan on black
+    wall_side(dir){ return cw(dir); }
+    explodes_into_space(){ return true; }
+    killed(){ this.world.firefly_killed(); }
+}
+
+const AMOEBA_MAX_SIZE = 200;
+const AMOEBA_GROWTH_CHANCE = 32; // grows with the probability of 1/N
+
+// Grows into adjacent empty space and dirt. As soon as the whole amoeba cannot
+// grow anywhere, it turns into diamonds, and if it gets larger than
+// AMOEBA_MAX_SIZE, it turns into boulders. The world decides on this for all
+// amoeba cells at once, based on what they did during the previous frame.
+class Amoeba extends Thing {
+    get_char(){ return '@'; }
+    get_color(){ return '1;37;42'; } // bright white on green
+    is_opaque(){ return true; }
+    update(){
+        super.update();
+        let world = this.world;
+        if (world.amoeba_verdict)
+        {
+            world.set(this.point, world.amoeba_verdict=='diamonds' ?
+                new Diamond(world) : new Boulder(world));
+            return;
+        }
+        world.amoeba_size++;
+        let targets = [];
+        for (let i = 0; i<4; i++)
+        {
+            let point = this.point.step(i);
+            let target = world.get(point);
+            if (!target || target instanceof Dirt)
+                targets.push(point);
+        }
+        if (!targets.length)
+            return;
+        world.amoeba_enclosed = false;
+        if (world.random(AMOEBA_GROWTH_CHANCE))
+            return;
+        world.set(targets[world.random(targets.length)], new Amoeba(world));
+        world.amoeba_size++;
+    }
+    is_consumable(){ return true; }
+}
+
+const PLAYER_CHARS = 'ABCD';
+
+// Every player sees itself as A on its own screen, and the first player in its
+// place (in single-player games, the only player is always A)
+function player_char(player, viewer){
+    let index = player.index;
+    if (viewer && viewer.index)
+    {
+        if (index==viewer.index)
+            index = 0;
+        else if (index==0)
+            index = viewer.index;
     }
+    return PLAYER_CHARS[index];
 }
 
 class Player extends Thing {
-    constructor(world){
+    constructor(world, index){
         super(world);
+        this.index = index||0;
         this.alive = true;
+        this.quit = false;
+        this.completed = false; // left through the exit
         this.control = undefined;
+        this.score = 0;
+        this.streak = 0;
+        this.streak_expiry = 0;
+        this.streak_message = '';
+        this.streaks = 0;
+        this.longest_streak = 0;
+        this.diamonds_collected = 0;
+        this.butterflies_killed = 0;
+        this.fireflies_killed = 0;
+        this.scored_expiry = 0;
+        this.time_bonus = 0;
     }
-    get_char(){ return this.alive ? 'A' : 'X'; }
+    get_char(viewer){ return this.alive ? player_char(this, viewer) : 'X'; }
     get_color(){
         if (this.world.frame<24 && (this.world.frame%4 < 2))
             return '30;42';
@@ -225,31 +409,159 @@ class Player extends Thing {
             return;
         let to = this.point.step(this.control);
         let target = this.world.get(to);
-        if (!target || target.walk_into(this.control))
+        if (!target || target.walk_into(this.control, this))
             this.move(to);
         this.control = undefined;
+        if (this.completed)
+            this.world.set(this.point);
     }
     is_consumable(){ return true; }
     hit(){ this.alive = false; }
 }
 
+function is_prime(n){
+    for (let i = 2; i*i<=n; i++)
+    {
+        if (n%i==0)
+            return false;
+    }
+    return n>1;
+}
+
+// Bonus points for a streak reaching the given length (3 or more)
+const STREAK_BONUSES = {
+    prime: n=>is_prime(n) ? n : 0, // the original rules
+    length: n=>n,
+    none: n=>0,
+};
+
+const DEFAULT_SCORING = {
+    diamond: 1, // points per diamond
+    streak_window: 20, // max frames between diamonds in a streak
+    streak_bonus: 'prime', // one of STREAK_BONUSES
+    butterfly: 10, // points per butterfly killed
+    time_bonus: 1, // points per second left when completing a level
+};
+
+// Returns complete scoring rules with defaults for missing keys, or throws
+// an Error if the rules are invalid
+function make_scoring(scoring){
+    for (let key in scoring)
+    {
+        if (!(key in DEFAULT_SCORING))
+            throw new Error(`Unknown scoring rule: ${key}`);
+        if (key=='streak_bonus')
+        {
+            if (!STREAK_BONUSES.hasOwnProperty(scoring[key]))
+            {
+                throw new Error('streak_bonus must be one of: '
+                    +Object.keys(STREAK_BONUSES).join(', '));
+            }
+        }
+        else if (typeof scoring[key]!='number' || !isFinite(scoring[key]))
+            throw new Error(`${key} must be a number`);
+    }
+    if (scoring && scoring.streak_window<1)
+        throw new Error('streak_window must be positive');
+    return Object.assign({}, DEFAULT_SCORING, scoring);
+}
+
+// A window of w×h cells into a cave that may be larger, scrolling to keep the
+// followed point at least a quarter of the window away from its edges, like in
+// the classic game. The first follow() centers the window on the point.
+class Viewport {
+    constructor(w, h){
+        this.w = w;
+        this.h = h;
+        this.x = undefined;
+        this.y = undefined;
+    }
+    static scroll(pos, start, size, total){
+        let margin = Math.floor(size/4);
+        if (start===undefined)
+            start = pos-Math.floor(size/2);
+        else if (pos<start+margin)
+            start = pos-margin;
+        else if (pos>=start+size-margin)
+            start = pos-size+margin+1;
+        return Math.max(0, Math.min(start, total-size));
+    }
+    follow(world, point){
+        if (!point) // keep the last position if the player left the cave
+            point = new Point(this.x||0, this.y||0);
+        this.x = Viewport.scroll(point.x, this.x, this.w, world.width);
+        this.y = Viewport.scroll(point.y, this.y, this.h, world.height);
+    }
+}
+
+const FOG_CHAR = '?';
+
+// Fog of war for AI screens: only cells within radius of the player (if
+// defined) and, if sight is set, not hidden behind opaque things (walls, dirt,
+// boulders, amoeba) are revealed, and the rest are rendered as FOG_CHAR.
+class Fog {
+    constructor(radius, sight){
+        this.radius = radius;
+        this.sight = !!sight;
+    }
+    // whether any cell strictly between from and to is opaque
+    static is_blocked(world, from, to){
+        let dx = Math.abs(to.x-from.x), dy = -Math.abs(to.y-from.y);
+        let sx = from.x<to.x ? 1 : -1, sy = from.y<to.y ? 1 : -1;
+        let x = from.x, y = from.y, err = dx+dy;
+        while (true)
+        {
+            let e2 = 2*err;
+            if (e2>=dy)
+            {
+                err += dy;
+                x += sx;
+            }
+            if (e2<=dx)
+            {
+                err += dx;
+                y += sy;
+            }
+            if (x==to.x && y==to.y)
+                return false;
+            let thing = world.cells[y][x];
+            if (thing && thing.is_opaque())
+                return true;
+        }
+    }
+    // returns rows of booleans, true for the cells revealed from point
+    visible(world, point){
+        let r2 = this.radius*this.radius;
+        return world.cells.map((row, y)=>Array.from(row, (cell, x)=>{
+            let dx = x-point.x, dy = y-point.y;
+            if (this.radius!==undefined && dx*dx+dy*dy>r2)
+                return false;
+            return !this.sight || !dx && !dy
+                || !Fog.is_blocked(world, point, new Point(x, y));
+        }));
+    }
+}
+
 class World {
-    constructor(w, h, {frames, fps}){
+    constructor(w, h, {frames, fps, magic_wall_frames, quota, scoring}){
         this.width = w;
         this.height = h;
         this.frame = 0;
         this.frames_left = frames;
         this.fps = fps||10;
         this.settled = false;
-        this.player = new Player(this);
-        this.score = 0;
-        this.streak = 0;
-        this.streak_expiry = 0;
-        this.streak_message = '';
-        this.streaks = 0;
-        this.longest_streak = 0;
-        this.diamonds_collected = 0;
-        this.butterflies_killed = 0;
+        this.player = new Player(this); // the first one
+        this.players = [this.player]; // see add_player()
+        this.scoring = make_scoring(scoring);
+        this.random_state = 0x2545f491; // for deterministic replays
+        this.amoeba_size = 0; // these are collected during every frame
+        this.amoeba_enclosed = true;
+        this.amoeba_verdict = undefined; // 'diamonds' or 'boulders'
+        this.magic_wall_frames = magic_wall_frames!==undefined
+            ? magic_wall_frames : MAGIC_WALL_FRAMES;
+        this.magic_wall_state = 'dormant'; // then 'active' and 'expired'
+        this.magic_wall_left = 0;
+        this.quota = quota; // diamonds to open the exit, in classic mode
         this.cells = new Array(h);
         for (let y = 0; y<h; y++)
             this.cells[y] = new Array(w);
@@ -262,6 +574,11 @@ class World {
                 yield [new Point(x, y), row[x]];
         }
     }
+    add_player(){
+        let player = new Player(this, this.players.length);
+        this.players.push(player);
+        return player;
+    }
     get(point){ return this.cells[point.y][point.x]; }
     set(point, thing){
         let old = this.cells[point.y][point.x];
@@ -273,53 +590,103 @@ class World {
         if (thing)
             thing.place(point);
     }
-    diamond_collected(){
-        this.score++;
-        this.diamonds_collected++;
-        this.streak++;
-        this.streak_expiry = 20;
-        this.scored_expiry = 8;
-        if (this.streak<3)
+    random(n){ // xorshift32, returns an integer from 0 to n-1
+        let x = this.random_state;
+        x ^= x<<13;
+        x ^= x>>>17;
+        x ^= x<<5;
+        this.random_state = x>>>0;
+        return this.random_state%n;
+    }
+    diamond_collected(player){
+        player.score += this.scoring.diamond;
+        player.diamonds_collected++;
+        player.streak++;
+        player.streak_expiry = this.scoring.streak_window;
+        player.scored_expiry = 8;
+        if (player.streak<3)
             return;
-        if (this.streak==3)
-            this.streaks++;
-        if (this.longest_streak<this.streak)
-            this.longest_streak = this.streak;
-        for (let i = 2; i*i<=this.streak; i++)
+        if (player.streak==3)
+            player.streaks++;
+        if (player.longest_streak<player.streak)
+            player.longest_streak = player.streak;
+        let bonus = STREAK_BONUSES[this.scoring.streak_bonus](player.streak);
+        if (!bonus)
+            return;
+        player.streak_message = `${player.streak}x HOT STREAK!`;
+        player.score += bonus;
+    }
+    butterfly_killed(){ // rewards every player still alive
+        for (let player of this.players)
         {
-            if (this.streak%i==0)
-                return;
+            if (!player.alive) // no reward if player killed
+                continue;
+            player.butterflies_killed++;
+            player.score += this.scoring.butterfly;
+            player.scored_expiry = 8;
         }
-        // streak is a prime number
-        this.streak_message = `${this.streak}x HOT STREAK!`;
-        this.score += this.streak;
     }
-    butterfly_killed(){
-        if (!this.player.alive) // no reward if player killed
-            return;
-        this.butterflies_killed++;
-        this.score += 10;
-        this.scored_expiry = 8;
+    firefly_killed(){
+        for (let player of this.players)
+        {
+            if (player.alive)
+                player.fireflies_killed++;
+        }
+    }
+    is_exit_open(player){
+        player = player||this.player;
+        if (this.quota===undefined) // not classic mode
+            return false;
+        return player.diamonds_collected>=this.quota;
+    }
+    level_completed(player){
+        player.completed = true;
+        player.time_bonus = Math.ceil(this.frames_left/this.fps)
+            *this.scoring.time_bonus;
+        player.score += player.time_bonus;
+        player.scored_expiry = 8;
     }
     leftpad(n, len){
         let res = n.toString();
         return res.length<len ? '0'.repeat(len-res.length)+res : res;
     }
-    render(ansi, with_status){
-        let res = this.cells.map(row=>{
+    // renders the whole cave, or only the part in viewport (see follow()),
+    // with fog of war from the point of view of viewer if fog is specified
+    render(ansi, with_status, viewer, viewport, fog){
+        viewer = viewer||this.player;
+        let rows = this.cells;
+        let visible = fog && viewer.point && fog.visible(this, viewer.point);
+        if (viewport)
+        {
+            let {x, y, w, h} = viewport;
+            let crop = rows=>rows.slice(y, y+h).map(row=>row.slice(x, x+w));
+            rows = crop(rows);
+            if (visible)
+                visible = crop(visible);
+        }
+        let res = rows.map((row, y)=>{
             let res = '', last_color;
-            for (let cell of row)
+            for (let x = 0; x<row.length; x++)
             {
+                let cell = row[x];
+                if (visible && !visible[y][x])
+                {
+                    if (ansi && last_color!='1;30')
+                        res += '\x1b[0;1;30m'; // gray
+                    last_color = '1;30';
+                    res += FOG_CHAR;
+                    continue;
+                }
                 if (ansi)
                 {
-                    let color = cell ? cell.get_color() : '37';
+                    let color = cell ? cell.get_color(viewer) : '37';
                     if (last_color!=color)
                     {
                         res += `\x1b[0;${color}m`; // set color
                         last_color = color;
                     }
                 }
-                res += cell ? cell.get_char() : ' ';
+                res += cell ? cell.get_char(viewer) : ' ';
             }
             return res;
         });
@@ -339,30 +706,44 @@ class World {
             }
             status += '  ';
             status += this.leftpad(Math.ceil(this.frames_left/this.fps), 4);
-            if (ansi)
+            let players = this.players.slice().sort((a, b)=>
+                player_char(a, viewer)<player_char(b, viewer) ? -1 : 1);
+            for (let player of players)
             {
-                if (this.scored_expiry%2)
-                    status += '\x1b[32m'; // green
-                else
+                if (ansi)
+                {
+                    if (player.scored_expiry%2)
+                        status += '\x1b[32m'; // green
+                    else
+                        status += '\x1b[37m'; // white
+                }
+                status += '  ';
+                if (this.players.length>1)
+                    status += player_char(player, viewer)+':';
+                status += this.leftpad(player.score, 6);
+            }
+            if (this.quota>0)
+            {
+                if (ansi)
                     status += '\x1b[37m'; // white
+                status += `  ${this.leftpad(viewer.diamonds_collected, 3)}`
+                    +`/${this.leftpad(this.quota, 3)}`;
             }
-            status += '  ';
-            status += this.leftpad(this.score, 6);
-            if (this.streak_message)
+            if (viewer.streak_message)
             {
                 if (ansi)
                 {
-                    if (this.streak_expiry>6 || this.streak_expiry%2!=0)
+                    if (viewer.streak_expiry>6 || viewer.streak_expiry%2!=0)
                         status += '\x1b[1;31m'; // bright red
                     else
                         status += '\x1b[1;30m'; // gray
                 }
-                status += `  ${this.streak_message}`;
+                status += `  ${viewer.streak_message}`;
             }
             if (ansi)
                 status += '\x1b[K'; // clear from cursor to end of line
-            else if (status.length<this.width)
-                status += ' '.repeat(this.width-status.length);
+            else if (status.length<rows[0].length)
+                status += ' '.repeat(rows[0].length-status.length);
             res.push(status);
         }
         return res;
@@ -371,14 +752,27 @@ class World {
         this.frame++;
         if (this.frames_left)
             this.frames_left--;
-        if (this.streak && !--this.streak_expiry)
+        this.settled = true;
+        for (let player of this.players)
         {
-            this.streak = 0;
-            this.streak_message = '';
+            if (player.streak && !--player.streak_expiry)
+            {
+                player.streak = 0;
+                player.streak_message = '';
+            }
+            if (player.scored_expiry)
+                player.scored_expiry--;
+            if (player.streak_message)
+                this.settled = false;
         }
-        if (this.scored_expiry)
-            this.scored_expiry--;
-        this.settled = !this.streak_message;
+        if (this.magic_wall_state=='active' && !--this.magic_wall_left)
+            this.magic_wall_state = 'expired';
+        if (this.amoeba_size>AMOEBA_MAX_SIZE)
+            this.amoeba_verdict = 'boulders';
+        else if (this.amoeba_size && this.amoeba_enclosed)
+            this.amoeba_verdict = 'diamonds';
+        this.amoeba_size = 0;
+        this.amoeba_enclosed = true;
         for (let [point, thing] of this)
         {
             if (!thing)
@@ -389,24 +783,224 @@ class World {
                 this.settled = false;
         }
         if (!this.frames_left)
-            this.player.alive = false;
+        {
+            for (let player of this.players)
+                player.alive = false;
+        }
+    }
+    control(c, index){ this.players[index||0].control = c; }
+    is_playable(player){
+        player = player||this.player;
+        return player.alive && !player.completed && !player.quit;
+    }
+    is_completed(){ return this.players.some(player=>player.completed); }
+    is_final(){
+        if (this.players.every(player=>player.completed || player.quit))
+            return true;
+        return this.settled
+            && !this.players.some(player=>this.is_playable(player));
+    }
+    clone(){
+        let res = Object.assign(Object.create(World.prototype), this);
+        res.players = this.players.map(player=>player.clone(res));
+        res.player = res.players[0];
+        res.cells = this.cells.map(row=>row.map(thing=>{
+            if (thing instanceof Player)
+                return res.players[thing.index];
+            if (thing)
+                return thing.clone(res);
+        }));
+        return res;
+    }
+    // Returns a JSON-serializable copy of the complete state of the world,
+    // to be passed to restore(). Each cell is either null, [type, state] or
+    // ['Player', index].
+    snapshot(){
+        let state = Object.assign({}, this);
+        delete state.cells;
+        delete state.player;
+        delete state.players;
+        let cells = new Array(this.width*this.height);
+        let i = 0;
+        for (let [point, thing] of this)
+        {
+            if (!thing)
+                cells[i++] = null;
+            else if (thing instanceof Player)
+                cells[i++] = ['Player', thing.index];
+            else
+                cells[i++] = [thing.constructor.name, thing.save()];
+        }
+        let players = this.players.map(player=>player.save());
+        return {state, players, cells};
+    }
+    restore(snapshot){
+        Object.assign(this, snapshot.state);
+        while (this.players.length<snapshot.players.length)
+            this.add_player();
+        this.players.length = snapshot.players.length;
+        this.player = this.players[0];
+        this.players.forEach((player, i)=>Object.assign(player,
+            snapshot.players[i], {point: undefined}));
+        this.cells = new Array(this.height);
+        let i = 0;
+        for (let y = 0; y<this.height; y++)
+        {
+            let row = this.cells[y] = new Array(this.width);
+            for (let x = 0; x<this.width; x++)
+            {
+                let cell = snapshot.cells[i++];
+                if (!cell)
+                    continue;
+                let thing = this.players[cell[1]];
+                if (cell[0]!='Player')
+                {
+                    thing = Object.assign(
+                        Object.create(THING_TYPES[cell[0]].prototype),
+                        cell[1], {world: this});
+                }
+                row[x] = thing;
+                thing.place(new Point(x, y));
+            }
+        }
+    }
+}
+
+const THING_TYPES = {SteelWall, BrickWall, MagicWall, Exit, Dirt, Boulder,
+    Diamond, Explosion, Butterfly, Firefly, Amoeba};
+
+// Headless game session for AI authors and tools:
+//
+//     const game = require('./game.js');
+//     let sim = game.Simulation.generate(seed); // or .from_ascii(rows)
+//     while (!sim.is_final())
+//         sim.step(choose_move(sim.screen())); // 'u', 'd', 'r', 'l', ' ', 'q'
+//     console.log(sim.stats().score);
+//
+// Every step() applies a command and advances the world by exactly one frame,
+// just like jsdash.js does, so the same commands always produce the same game,
+// and sim.commands is the same string as the commands field of a --log file.
+// Options are {frames, fps, magic_wall_frames, quota, scoring} as for World
+// (default: 1200 frames at 10 FPS); generate() also accepts the options of
+// generate.generate() and uses the same defaults as jsdash.js.
+//
+// In caves with several players, step() takes an array with a command for
+// every player, sim.commands is an array of per-player command strings, and
+// screen(), is_alive(), is_playable() and stats() take a player index.
+class Simulation {
+    constructor(world){
+        this.world = world;
+        this.commands = world.players.length>1
+            ? world.players.map(()=>'') : '';
+    }
+    static from_ascii(rows, opt){
+        if (typeof rows=='string')
+            rows = rows.split('\n').filter(row=>row);
+        return new Simulation(require('./generate.js').from_ascii(rows,
+            Object.assign({}, SIMULATION_DEFAULTS, opt)));
+    }
+    static generate(seed, opt){
+        const generate = require('./generate.js');
+        return new Simulation(generate.generate(seed, Object.assign({},
+            generate.DEFAULTS, SIMULATION_DEFAULTS, opt)));
+    }
+    step(commands){
+        if (this.is_final())
+            throw new Error('The game is over');
+        let multi = Array.isArray(this.commands);
+        if (!multi)
+            commands = [commands];
+        let quit = false;
+        this.world.players.forEach((player, i)=>{
+            let command = commands[i];
+            if (typeof command=='number')
+                command = dir2char(command);
+            // a single player may quit while its death is still settling
+            if (command=='q' && !multi && !player.quit)
+                player.quit = quit = true;
+            else if (!this.world.is_playable(player))
+                return;
+            else if (command=='q')
+                player.quit = quit = true;
+            else
+                this.world.control(char2dir(command), i);
+            command = command||' ';
+            if (multi)
+                this.commands[i] += command;
+            else
+                this.commands += command;
+        });
+        // quitting does not take a frame unless someone is still playing
+        if (quit && !this.world.players.some(p=>this.world.is_playable(p)))
+            return;
+        this.world.update();
+    }
+    clone(){
+        let res = new Simulation(this.world.clone());
+        res.commands = Array.isArray(this.commands) ? this.commands.slice()
+            : this.commands;
+        return res;
+    }
+    player(i){ return this.world.players[i||0]; }
+    // the screen of a player, or only its viewport if specified, with
+    // optional fog of war (see Fog)
+    screen(i, viewport, fog){
+        if (viewport)
+            viewport.follow(this.world, this.player(i).point);
+        return this.world.render(false, true, this.player(i), viewport, fog);
+    }
+    frame(){ return this.world.frame; }
+    is_alive(i){ return this.player(i).alive; }
+    is_playable(i){ return this.world.is_playable(this.player(i)); }
+    is_completed(){ return this.world.is_completed(); }
+    is_final(){ return this.world.is_final(); }
+    stats(i){
+        let p = this.player(i);
+        let res = {
+            score: p.score,
+            diamonds_collected: p.diamonds_collected,
+            butterflies_killed: p.butterflies_killed,
+            fireflies_killed: p.fireflies_killed,
+            streaks: p.streaks,
+            longest_streak: p.longest_streak,
+        };
+        if (this.world.quota!==undefined) // classic mode
+        {
+            res.completed = p.completed;
+            res.time_bonus = p.time_bonus;
+        }
+        return res;
     }
-    control(c){ this.player.control = c; }
-    is_playable(){ return this.player.alive; }
-    is_final(){ return !this.player.alive && this.settled; }
 }
 
+const SIMULATION_DEFAULTS = {frames: 1200, fps: 10};
+
 module.exports = {
     UP,
     RIGHT,
     DOWN,
     LEFT,
+    char2dir,
+    dir2char,
+    STREAK_BONUSES,
+    DEFAULT_SCORING,
+    make_scoring,
+    PLAYER_CHARS,
     Point,
     SteelWall,
     BrickWall,
+    MagicWall,
+    Exit,
     Dirt,
     Boulder,
     Diamond,
     Butterfly,
+    Firefly,
+    Amoeba,
+    THING_TYPES,
     World,
+    Viewport,
+    FOG_CHAR,
+    Fog,
+    Simulation,
 };
@@ -2,11 +2,15 @@
 const random_js = require('random-js');
 const game = require('./game.js');
 
+const DEFAULTS = {w: 40, h: 22, butterflies: 3, fireflies: 0, players: 1,
+    ingredients: {' ': 25, ':': 50, '+': 10, 'O': 10, '*': 5}};
+
 function from_ascii(rows, opt){
     let w = rows[0].length, h = rows.length;
     if (w<3 || h<3)
         throw new Error('Cave dimensions are too small');
     let world = new game.World(w, h, opt);
+    let exit_found = false, starts = [];
     for (let y = 0; y<h; y++)
     {
         let row = rows[y];
@@ -29,21 +33,51 @@ function from_ascii(rows, opt){
             case '-': case '/': case '|': case '\\':
                 world.set(point, new game.Butterfly(world));
                 break;
-            case 'A':
-                if (world.player.point)
+            case '%': case '&':
+                world.set(point, new game.Firefly(world));
+                break;
+            case '@': world.set(point, new game.Amoeba(world)); break;
+            case '=': world.set(point, new game.MagicWall(world)); break;
+            case 'E': case 'e':
+                world.set(point, new game.Exit(world));
+                exit_found = true;
+                break;
+            case 'A': case 'B': case 'C': case 'D':
+            {
+                let index = game.PLAYER_CHARS.indexOf(c);
+                if (starts[index])
                     throw new Error('More than one player position found');
-                world.set(point, world.player);
+                starts[index] = point;
                 break;
+            }
             default:
                 throw new Error('Unknown character: '+c);
             }
         }
     }
-    if (!world.player.point)
+    if (!starts[0])
         throw new Error('Player position not found');
+    for (let i = 0; i<starts.length; i++)
+    {
+        if (!starts[i])
+        {
+            throw new Error(
+                `Player position not found: ${game.PLAYER_CHARS[i]}`);
+        }
+        world.set(starts[i], i ? world.add_player() : world.player);
+    }
+    if (opt.quota!==undefined && !exit_found)
+        throw new Error('Exit position not found');
     return world;
 }
 
+// Recreates the initial state of a game recorded with --log
+function from_log(log){
+    return from_ascii(log.cave, {frames: log.limit_frames, fps: log.fps,
+        magic_wall_frames: log.magic_wall_frames, quota: log.quota,
+        scoring: log.scoring});
+}
+
 function generate_raw(random, opt){
     let rows = new Array(opt.h);
     let total = 0;
@@ -71,37 +105,62 @@ function generate_raw(random, opt){
             }
         }
     }
-    for (let i = 0; i<opt.butterflies; i++)
+    let is_enemy = c=>c=='/' || c=='%';
+    let enemies = [['/', opt.butterflies], ['%', opt.fireflies||0]];
+    for (let [enemy, count] of enemies)
     {
-        let x = random.integer(1, opt.w-3), y = random.integer(1, opt.h-3);
-        if (rows[y][x]=='/') // collision
+        for (let i = 0; i<count; i++)
         {
-            i--;
-            continue;
+            let x = random.integer(1, opt.w-3), y = random.integer(1, opt.h-3);
+            if (is_enemy(rows[y][x])) // collision
+            {
+                i--;
+                continue;
+            }
+            rows[y][x] = enemy;
+            // ensure at least 2x2 space around the enemy
+            if (!is_enemy(rows[y][x+1]))
+                rows[y][x+1] = ' ';
+            if (!is_enemy(rows[y+1][x]))
+                rows[y+1][x] = ' ';
+            if (!is_enemy(rows[y+1][x+1]))
+                rows[y+1][x+1] = ' ';
+            // no empty space directly above to prevent immediate crushing
+            if (rows[y-1][x]==' ')
+                rows[y-1][x] = ':';
+            if (rows[y-1][x+1]==' ')
+                rows[y-1][x+1] = ':';
         }
-        rows[y][x] = '/';
-        // ensure at least 2x2 space around the butterfly
-        if (rows[y][x+1]!='/')
-            rows[y][x+1] = ' ';
-        if (rows[y+1][x]!='/')
-            rows[y+1][x] = ' ';
-        if (rows[y+1][x+1]!='/')
-            rows[y+1][x+1] = ' ';
-        // no empty space directly above to prevent immediate crushing
-        if (rows[y-1][x]==' ')
-            rows[y-1][x] = ':';
-        if (rows[y-1][x+1]==' ')
-            rows[y-1][x+1] = ':';
     }
     let px, py; // player starting position
-    do { // avoid collisions with butterflies
+    do { // avoid collisions with enemies
         px = random.integer(1, opt.w-2);
         py = random.integer(1, opt.h-2);
-    } while (rows[py][px]=='/');
+    } while (is_enemy(rows[py][px]));
     rows[py][px] = 'A';
     // no empty space directly above to prevent immediate crushing
     if (rows[py-1][px]==' ')
         rows[py-1][px] = ':';
+    let is_player = c=>game.PLAYER_CHARS.includes(c);
+    for (let i = 1; i<(opt.players||1); i++)
+    {
+        do { // avoid collisions with enemies and other players
+            px = random.integer(1, opt.w-2);
+            py = random.integer(1, opt.h-2);
+        } while (is_enemy(rows[py][px]) || is_player(rows[py][px]));
+        rows[py][px] = game.PLAYER_CHARS[i];
+        if (rows[py-1][px]==' ')
+            rows[py-1][px] = ':';
+    }
+    if (opt.quota!==undefined) // classic mode
+    {
+        let ex, ey;
+        do {
+            ex = random.integer(1, opt.w-2);
+            ey = random.integer(1, opt.h-2);
+        } while (is_enemy(rows[ey][ex]) || is_player(rows[ey][ex]));
+        rows[ey][ex] = 'E';
+    }
     return rows;
 }
 
@@ -126,6 +185,10 @@ function scan_reachable(world, start, allowed){
             let c = cell ? cell.get_char() : ' ';
             if (c=='-' || c=='\\' || c=='|')
                 c = '/';
+            else if (c=='&')
+                c = '%';
+            else if (c=='e')
+                c = 'E';
             if (res[c])
                 res[c]++;
             else
@@ -137,7 +200,7 @@ function scan_reachable(world, start, allowed){
     return res;
 }
 
-function is_playable(candidate){
+function is_playable(candidate, opt){
     let totals = {};
     for (let row of candidate)
     {
@@ -149,29 +212,41 @@ function is_playable(candidate){
                 totals[c] = 1;
         }
     }
-    let world = from_ascii(candidate, {frames: 1200});
+    let world = from_ascii(candidate, {frames: 1200, quota: opt.quota});
     while (!world.settled || world.frame<20)
         world.update();
-    if (!world.player.alive) // player must be alive
-        return false;
-    let reachable = scan_reachable(world, world.player.point, ' :*');
-    // all butterflies must be alive and reachable
-    if ((reachable['/']||0) < (totals['/']||0))
-        return false;
-    // at least 50% diamonds must be reachable
-    if ((reachable['*']||0)*2 < (totals['*']||0))
-        return false;
-    return true;
+    return world.players.every(player=>{
+        if (!player.alive) // player must be alive
+            return false;
+        let reachable = scan_reachable(world, player.point, ' :*');
+        if (opt.quota!==undefined) // exit and enough diamonds reachable
+        {
+            if (!reachable.E || (reachable['*']||0) < opt.quota)
+                return false;
+        }
+        // all butterflies and fireflies must be alive and reachable
+        if ((reachable['/']||0) < (totals['/']||0))
+            return false;
+        if ((reachable['%']||0) < (totals['%']||0))
+            return false;
+        // at least 50% diamonds must be reachable
+        if ((reachable['*']||0)*2 < (totals['*']||0))
+            return false;
+        return true;
+    });
 }
 
+const MAX_ATTEMPTS = 10000;
+
 function generate(seed, opt){
     let random = new random_js(random_js.engines.mt19937().seed(seed));
-    while (true)
+    for (let i = 0; i<MAX_ATTEMPTS; i++)
     {
         let candidate = generate_raw(random, opt);
-        if (is_playable(candidate))
+        if (is_playable(candidate, opt))
             return from_ascii(candidate, opt);
     }
+    throw new Error('Cannot generate a playable cave with these options');
 }
 
-module.exports = {from_ascii, generate};
+module.exports = {DEFAULTS, from_ascii, from_log, generate};
@@ -2,14 +2,62 @@
 'use strict'; /*jslint node:true*/
 const cluster = require('cluster');
 const fs = require('fs');
+const path = require('path');
 const random_js = require('random-js');
 const controller = require('./controller.js');
+const exporter = require('./export.js');
 const game = require('./game.js');
 const generate = require('./generate.js');
+const timeline = require('./timeline.js');
+const validate = require('./validate.js');
+const verify = require('./verify.js');
 const getopt = require('node-getopt').create([
-    ['a', 'ai=FILE.js', 'use JS module as AI'],
+    ['a', 'ai=FILE.js',
+        'use JS module as AI (a file or a package directory, CommonJS or ES'
+        +' module)'],
+    ['A', 'ai-command=CMD',
+        'use an external command as AI (see the protocol below)'],
+    ['L', 'listen=PORT',
+        'wait for an AI to connect over TCP or WebSocket on the given port'],
+    ['', 'move-ms=N', 'max CPU time of an --ai script per move in ms'],
+    ['', 'total-ms=N', 'total CPU time budget of an --ai script in ms'],
+    ['', 'init-ms=N', 'max CPU time for loading an --ai script in ms'],
+    ['', 'over-budget=POLICY',
+        'when an --ai script exceeds a CPU limit: skip (the move), end (the'
+        +' game) or forfeit (default: skip)'],
+    ['', 'ai-seed=N',
+        'seed Math.random() of --ai scripts for reproducible games'],
+    ['', 'virtual-clock=MS',
+        'give --ai scripts a virtual clock advancing by a frame with every'
+        +' screen and by MS with every reading'],
+    ['', 'strict-submission',
+        'require --ai scripts to be a single file not importing other files'],
+    ['', 'max-heap=MB',
+        'heap size limit of the process running an --ai script in MB'
+        +' (default: 512)'],
+    ['', 'ai-viewport=WxH',
+        'send AI only the WxH part of the cave around its player, scrolling'
+        +' like on the console (default: the whole cave)'],
+    ['', 'fog=SPEC',
+        'fog of war for AI: reveal only cells within radius N (SPEC is N),'
+        +' in line of sight (sight) or both (sight:N)'],
+    ['P', 'player=SPEC+',
+        'add a player to a multi-player game (2 to 4 times, see below)'],
     ['l', 'log=FILE.json', 'log the game into a file'],
     ['r', 'replay=FILE.json', 'replay a logged game'],
+    ['', 'seek=N', 'start the replay from the given frame (--replay only)'],
+    ['', 'level=N', 'replay the given level of a campaign (--replay only)'],
+    ['e', 'export=FILE',
+        'export the replay as an asciicast v2 recording (*.cast) or'
+        +' an HTML page (*.html) with a player (--replay only)'],
+    ['V', 'verify=FILE.json',
+        're-simulate a logged game (or all logs in a directory) and check'
+        +' the results'],
+    ['', 'validate=FILE.js',
+        'check an AI script against the rules of the contest and play a smoke'
+        +' game (see below)'],
+    ['', 'campaign=FILE.json',
+        'play a sequence of caves with the same AI (see below)'],
     ['c', 'cave==FILE',
         'read cave layout from an ASCII file instead of generating randomly'],
     ['d', 'dump=FILE',
@@ -18,6 +66,7 @@ const getopt = require('node-getopt').create([
         'pseudo-random seed for cave generation (default: random)'],
     ['g', 'geometry=WxH', 'set cave geometry (default: 40x22)'],
     ['b', 'butterflies=N', 'number of butterflies (default: 3)'],
+    ['B', 'fireflies=N', 'number of fireflies (default: 0)'],
     ['', 'freq-space=F', 'relative frequency of empty space ( )'],
     ['', 'freq-dirt=F', 'relative frequency of dirt (:)'],
     ['', 'freq-brick=F', 'relative frequency of brick walls (+)'],
@@ -31,6 +80,13 @@ const getopt = require('node-getopt').create([
     ['m', 'max-speed', 'advance frames after every move without waiting'],
     ['t', 'time=SEC', 'time limit in seconds (alternative to --frames)'],
     ['T', 'frames=N', 'time limit in frames (default: 1200)'],
+    ['', 'magic-wall=N',
+        'number of frames magic walls (=) stay active (default: 200)'],
+    ['Q', 'quota=N',
+        'classic mode: collect N diamonds to open the exit (E) and leave'],
+    ['', 'scoring=FILE.json',
+        'scoring rules from a JSON file or an inline JSON object'
+        +' (see below)'],
     ['C', 'no-color', 'do not use ANSI coloring on the console'],
     ['u', 'unsafe', 'use unsafe solution loader without VM'],
     ['p', 'in-process',
@@ -47,6 +103,141 @@ Play JSDash!
 Use --ai to specify an AI script or --replay to replay a previously saved game
 log. Otherwise, the game will run interactively with keyboard controls.
 
+Use --ai-command to run an AI in any language as an external process. On every
+update, the game writes a line with a JSON object {"screen": [...]} into its
+stdin, and the AI must reply with a line on its stdout containing one of the
+JSON strings "u", "d", "r", "l" (move up, down, right or left), " " (stay) or
+"q" (quit), or an object {"error": "..."} to report a failure. Updates are
+dropped while the AI is busy, just like for --ai scripts. stdio.js runs an
+--ai script in this way, for example with custom Node.js flags:
+    --ai-command="node --stack-size=4000 stdio.js SCRIPT.js"
+
+Use --listen to play with a client connecting over the network, for example
+an AI on a different machine. The protocol is the same as for --ai-command,
+with one JSON message per line over TCP, or one JSON message per WebSocket
+message. TCP clients must not send anything before they receive the first
+screen. client.js is a client that plays an --ai script in this way:
+    node client.js [--host=HOST] [--websocket] PORT SCRIPT.js
+
+If the cave is larger than the console, only the part around the player is
+shown, scrolling when the player comes close to its edges. Use --ai-viewport to
+send AI scripts and commands only such a part of the cave of the given size
+(plus the status line), to test them with partial observability.
+
+Use --fog to hide from AI the cells farther than the given radius from its
+player, or not in its line of sight (behind walls, dirt, boulders or amoeba),
+or both. Hidden cells are sent as ?, and the fog settings are saved in the log.
+
+Use --move-ms, --total-ms and --init-ms to limit the CPU time of --ai scripts
+(including those of --player) per move, in total and for loading the script.
+CPU time is measured by the process running the script, so the limits do not
+depend on the load of the machine. When a limit is exceeded, --over-budget
+decides what happens: skip (the move is ignored, and after the total budget is
+used up, the player stays still for the rest of the game), end (the game ends
+with the outcome "over-budget") or forfeit (the game ends with an error, or in
+a multi-player game, the player forfeits). Scripts not responding for 10 times
+the limit (at least a second) are considered hung and killed. The limits are
+saved in the log as "cpu_limits", and the violations in "ai_perf".
+
+Unless --unsafe is used, --ai scripts run in a sandbox without access to
+Node.js: calling require(), using process or compiling code at run time (eval,
+new Function) ends the game with an error (or forfeits the player), even if the
+script catches the resulting exception, and so does running out of the heap
+size limit set by --max-heap. The log describes the violation in "violation",
+with its type: require, process, eval, submission or memory.
+
+An --ai script can be a CommonJS module or an ES module (export function* play;
+.mjs files, files under a package.json with "type": "module", and without a
+"type", files with import or export statements), or a directory with a
+package.json ("main") or an index.js. Imports and require() calls of relative
+paths load other files of the directory of the script (or of the script itself)
+into the sandbox; files outside of it, Node.js built-ins and packages cannot be
+loaded, and trying to is a require violation. Named imports are copies of the
+exported values taken when the importing module starts. ES modules need the
+sandbox, so they cannot be used with --unsafe or --in-process. With
+--strict-submission, the script must be a single file exporting a generator
+play(), as the rules of the contest require: a directory or another kind of
+play() is a submission violation, and loading any other file is a require
+violation.
+
+When an AI script fails, the error is printed and saved in the log as "error",
+with the frame number and the screen the script was deciding on in
+"error_frame" and "error_screen" (per player in multi-player games). Stack
+traces of scripts in the sandbox point to the original sources of files with
+source maps: inline ones (a data URL in the sourceMappingURL comment), files
+named by the comment, or FILE.js.map files next to FILE.js.
+
+Use --ai-seed to make the same --ai script play the same game on the same cave
+every time, even if it uses Math.random(), which becomes a pseudo-random
+generator with the given seed. Scripts measuring time can be made reproducible
+with --virtual-clock, which replaces Date.now(), new Date() and
+performance.now() with a clock starting at 0 and moving to the start of the
+frame of every screen the script receives (frames taking --interval, or 100 ms).
+Every reading of the clock advances it by the given number of milliseconds (for
+example 0.1), which stands for the time the script spends between readings, so
+that loops waiting for the time to pass still end. As screens are dropped while
+the script is busy, add --still --max-speed for games not depending on the
+speed of the machine at all. The seed and the clock are saved in the log as
+"ai_seed" and "virtual_clock".
+
+Use --player 2 to 4 times for a multi-player game, with a separate controller
+for every player: keyboard, ai:FILE.js, command:CMD, listen:PORT (like --ai,
+--ai-command and --listen) or replay:FILE.json (the moves of a single-player
+log). Players appear in the cave as A, B, C and D (put them in --cave files in
+this way), but every AI sees itself as A and the first player in its place.
+Every player has its own score, butterflies killed reward every player still
+alive, and in the classic mode each player needs its own quota to leave. If a
+controller fails, only its player forfeits, and cannot win. The log has the
+commands and the results of every player in "players", and the number of the
+winner.
+
+Use --quota for the classic mode: the cave has an exit, which opens (E turns
+into e) after the given number of diamonds is collected. Walking into the open
+exit completes the level, with a bonus of one point for every second left.
+Generated caves get an exit automatically; in --cave files, put it as E.
+Without --quota, an exit in a --cave file stays closed.
+
+Use --scoring to change the scoring rules, as a JSON object with any of these
+keys (the defaults are shown):
+    {"diamond": 1, "streak_window": 20, "streak_bonus": "prime",
+     "butterfly": 10, "time_bonus": 1}
+where diamond is the points per diamond, streak_window is the max number of
+frames between diamonds in a hot streak, streak_bonus is the bonus for a
+streak of 3 or more diamonds: "prime" (its length if it is a prime number),
+"length" (its length) or "none", butterfly is the points per butterfly killed,
+and time_bonus is the points per second left when completing a level in the
+classic mode. The complete rules are saved in the log.
+
+Use --campaign to play several caves in a row, as listed in a JSON file:
+    {"levels": [{"seed": 1}, {"seed": 2, "fireflies": 2, "time": 60},
+        {"cave": "cave3.txt", "quota": 10, "magic-wall": 100}]}
+Every level may have the same options as the command line: cave (relative to
+the campaign file) or seed, geometry, butterflies, fireflies and freq-*, frames
+or time, magic-wall, quota and scoring (as a JSON object). --frames and --time
+on the command line apply to levels without their own time limits. The same AI
+instance plays all levels: the play() generator keeps running, the screen
+array changes its contents and possibly its size, and the yield expression
+evaluates to {level: N, levels: TOTAL} on the first frame of every level after
+the first (for --ai-command, this object is sent as "signal" alongside
+"screen"). The log has the results of every level in "levels", and the totals.
+Use --replay with --level to replay a level from a campaign log.
+
+Use --verify to re-simulate a logged game at maximum speed without rendering
+it, and check that the logged commands produce the logged results. If a
+directory is specified, all *.log and *.json files in it are verified
+recursively. The exit code is non-zero if any discrepancies are found.
+
+Use --validate before submitting an AI script to check it against the rules of
+the contest: it must be a single JS file of at most 64 MiB, written in the
+syntax of Node.js v8.1.3 (the version used for testing), must not require any
+modules, and must export a generator play(). The script is first checked
+without running it; calls of require() in it, and built-ins added after Node.js
+v8 (unless the script defines them itself), are warnings, which only the
+dynamic checks confirm. Then a smoke game is played with --strict-submission
+on seed 1 for 200 frames with --still --max-speed, and the game must end
+without an error. A report with every check is printed, and the exit code is
+non-zero if any of them failed.
+
 If any of --freq-* options are specified, the rest of them are implied to be 0.
 These options set relative frequencies of various materials in the cave. For
 example, --freq-space=1 --freq-dirt=3 means 25% empty space and 75% dirt (and
@@ -58,50 +249,106 @@ Keyboard controls:
     * Arrows: move around
     * Q, Esc, Ctrl-C: quit
     * Spacebar: advance a frame without moving (for --still and --max-speed)
-    * P: pause (any key to resume)`);
+    * P: pause (any key to resume)
+
+Additional keyboard controls for --replay:
+    * Period, comma: step one frame forward or backward (pauses the replay)
+    * Plus, minus: double or halve the playback speed
+    * N: jump to the next event (diamond collected, enemy killed, death,
+      level completed)
+    * Digits followed by Enter or G: jump to the frame with that number`);
+
+const world_opts = ['magic-wall', 'quota', 'scoring'];
+
+const cpu_opts = ['move-ms', 'total-ms', 'init-ms', 'over-budget'];
 
-const generation_opts = ['seed', 'geometry', 'butterflies', 'freq-space',
-    'freq-dirt', 'freq-brick', 'freq-steel', 'freq-boulder', 'freq-diamond'];
+const generation_opts = ['seed', 'geometry', 'butterflies', 'fireflies',
+    'freq-space', 'freq-dirt', 'freq-brick', 'freq-steel', 'freq-boulder',
+    'freq-diamond'];
 
 const REQUIRED_NODE_VERSION = 'v8.1.3';
+const DEFAULT_FRAMES = 1200;
 
 class Game {
     constructor(opt){
         this.world = undefined;
-        this.controller = undefined;
+        this.sim = undefined;
+        this.timeline = undefined;
+        this.start_frame = 0;
+        this.controllers = []; // one for every player
         this.keyboard = undefined;
+        this.keyboard_player = undefined; // index, if a player uses it
+        this.view = undefined; // the part of the cave shown on the console
+        this.ai_viewport = undefined; // {w, h}, if AI sees only a part
+        this.ai_viewports = []; // for every player
+        this.fog = undefined; // game.Fog for AI screens
+        this.cpu_limits = undefined; // for controller.AI
+        this.heap_mb = controller.DEFAULT_HEAP_MB;
+        this.sandbox = {}; // options of loader.load() for --ai scripts
+        this.forfeited = []; // players whose controllers failed
+        this.ready = [];
+        this.started = false;
+        this.multi = false;
         this.timer = undefined;
-        this.log = {};
+        this.log = {}; // of the current level
+        this.main_log = this.log; // the same, except in campaign mode
+        this.campaign = undefined;
         this.log_file = undefined;
-        this.last_command =  ' ';
-        this.frames = 1200;
+        this.last_commands = [' ']; // for the next frame, for every player
+        this.moved = []; // players who sent a command for the next frame
+        this.frames = DEFAULT_FRAMES;
         this.interval = 100;
         this.fps = 10;
         this.max_speed = false;
         this.quiet = false;
         this.no_color = false;
         this.paused = false;
+        this.export_file = undefined;
+        this.world_opt = {}; // additional options for the World
         if (opt.replay)
         {
-            for (let key of ['ai', 'cave', 'time', 'frames', 'log']
-                .concat(generation_opts))
+            for (let key of ['ai', 'ai-command', 'listen', 'player',
+                'ai-viewport', 'fog', 'max-heap', 'ai-seed', 'virtual-clock',
+                'strict-submission', 'campaign', 'cave', 'time', 'frames',
+                'log'].concat(world_opts, generation_opts, cpu_opts))
             {
                 if (opt[key]!==undefined)
                     this.die(`--replay and --${key} are incompatible`);
             }
             this.log = JSON.parse(fs.readFileSync(opt.replay, 'utf8'));
+            if (this.log.levels) // campaign
+            {
+                let n = opt.level===undefined ? 1 : +opt.level;
+                if (!(n>=1 && n<=this.log.levels.length))
+                {
+                    this.die('--level must be from 1 to '
+                        +this.log.levels.length);
+                }
+                this.log = this.log.levels[n-1];
+            }
+            else if (opt.level!==undefined)
+                this.die('--level requires a campaign log');
+            this.main_log = this.log;
             this.frames = this.log.limit_frames;
             this.interval = this.log.interval;
             this.fps = this.log.fps;
-            this.world = generate.from_ascii(this.log.cave,
-                {frames: this.frames, fps: this.fps});
+            this.world = generate.from_log(this.log);
             if (this.log.error)
             {
                 console.error(this.log.error.join('\n'));
                 process.exit(1);
             }
-            this.controller = new controller.Replay(this.log.commands);
+            this.timeline = new timeline.Timeline(this.log);
+            this.multi = Array.isArray(this.log.commands);
+            this.controllers = (this.multi ? this.log.commands
+                : [this.log.commands]).map(c=>new controller.Replay(c));
+            if (opt.seek!==undefined)
+                this.start_frame = +opt.seek;
         }
+        else if (opt.seek!==undefined)
+            this.die('--seek requires --replay');
+        else if (opt.level!==undefined)
+            this.die('--level requires --replay');
         if (opt.interval!==undefined)
         {
             for (let key of ['time', 'still'])
@@ -121,8 +368,296 @@ class Game {
         }
         if (opt.still)
             this.fps = this.interval = 0;
+        if (opt.export)
+        {
+            if (!opt.replay)
+                this.die('--export requires --replay');
+            this.export_file = opt.export;
+            return;
+        }
         if (opt['max-speed'])
             this.max_speed = true;
+        if (opt.player)
+            this.multi = true;
+        if (opt.campaign)
+            this.load_campaign(opt);
+        else
+            this.load_level(opt);
+        if (opt.dump)
+        {
+            for (let key of ['time', 'frames', 'interval', 'fps', 'still',
+                'max-speed', 'no-color', 'quiet', 'log'])
+            {
+                if (opt[key]!==undefined)
+                    this.die(`--dump and --${key} are incompatible`);
+            }
+            fs.writeFileSync(opt.dump,
+                this.world.render(false, false).join('\n')+'\n',
+                {encoding: 'utf8'});
+            return;
+        }
+        if (opt.log)
+            this.log_file = opt.log;
+        if (opt['no-color'])
+            this.no_color = true;
+        for (let [a, b] of [['ai', 'ai-command'], ['ai', 'listen'],
+            ['ai-command', 'listen'], ['player', 'ai'],
+            ['player', 'ai-command'], ['player', 'listen']])
+        {
+            if (opt[a]!==undefined && opt[b]!==undefined)
+                this.die(`--${a} and --${b} are incompatible`);
+        }
+        if (opt.unsafe || opt['in-process'])
+        {
+            let key = opt.unsafe ? 'unsafe' : 'in-process';
+            if (!opt.ai && !(opt.player||[]).some(spec=>/^ai:/.test(spec)))
+                this.die(`--${key} requires --ai`);
+        }
+        if (opt['ai-viewport'])
+        {
+            let [w, h] = opt['ai-viewport'].split('x').map(n=>+n);
+            if (!(w>=3 && h>=3))
+                this.die('Invalid --ai-viewport');
+            this.ai_viewport = this.main_log.ai_viewport = {w, h};
+        }
+        if (cpu_opts.some(key=>opt[key]!==undefined))
+            this.init_cpu_limits(opt);
+        if (opt['ai-seed']!==undefined || opt['virtual-clock']!==undefined
+            || opt['strict-submission'])
+        {
+            this.init_sandbox(opt);
+        }
+        if (opt['max-heap']!==undefined)
+        {
+            if (!opt.ai && !(opt.player||[]).some(spec=>/^ai:/.test(spec)))
+                this.die('--max-heap requires --ai');
+            if (opt['in-process'])
+                this.die('--max-heap cannot be used with --in-process');
+            this.heap_mb = +opt['max-heap'];
+            if (!(this.heap_mb>=16))
+                this.die('--max-heap must be at least 16');
+        }
+        if (opt.fog)
+        {
+            let m = /^(?:(sight)(?::(\d+))?|(\d+))$/.exec(opt.fog);
+            if (!m)
+                this.die('Invalid --fog');
+            let radius = m[2]||m[3];
+            this.fog = new game.Fog(radius && +radius, !!m[1]);
+            this.main_log.fog = Object.assign({}, this.fog);
+        }
+        if (opt.player)
+            this.init_players(opt);
+        else if (!opt.replay)
+        {
+            let entry = this.main_log;
+            let c = opt.ai ? `ai:${opt.ai}`
+                : opt['ai-command'] ? `command:${opt['ai-command']}`
+                : opt.listen ? `listen:${opt.listen}` : undefined;
+            if (c)
+                this.controllers.push(this.create_controller(c, opt, entry));
+        }
+        if (opt.quiet || !process.stdout.isTTY)
+        {
+            if (this.keyboard_player!==undefined)
+            {
+                this.die(opt.quiet
+                    ? '--quiet and --player=keyboard are incompatible'
+                    : 'To render the game, stdout must be a TTY');
+            }
+            if (!this.controllers.length)
+            {
+                this.die(opt.quiet ? '--quiet requires --ai'
+                    : 'To render the game, stdout must be a TTY');
+            }
+            this.quiet = true;
+        }
+        else if (process.stdin.isTTY)
+            this.keyboard = new controller.Keyboard();
+        if (!this.controllers.length || this.keyboard_player!==undefined)
+        {
+            if (!this.keyboard)
+                this.die('For interactive input, stdin must be a TTY');
+            if (this.keyboard_player===undefined)
+            {
+                this.controllers.push(this.keyboard);
+                this.main_log.controller = 'keyboard';
+            }
+            else
+                this.controllers[this.keyboard_player] = this.keyboard;
+            if (!this.fps)
+                this.max_speed = true;
+        }
+        else if (this.keyboard)
+        {
+            if (!this.fps)
+                this.keyboard.addListener('control', command=>this.update());
+            this.keyboard.addListener('quit',
+                ()=>this.finalize('interrupted'));
+            this.keyboard.addListener('pause', ()=>this.pause());
+            if (this.timeline)
+            {
+                this.keyboard.addListener('step', delta=>this.step(delta));
+                this.keyboard.addListener('speed',
+                    factor=>this.speed(factor));
+                this.keyboard.addListener('next', ()=>this.next_event());
+                this.keyboard.addListener('goto', frame=>this.seek(frame));
+            }
+        }
+        this.controllers.forEach((c, i)=>{
+            c.addListener('control', command=>this.control(command, i));
+            c.addListener('quit', ()=>this.quit(i));
+            c.addListener('pause', ()=>this.pause());
+            c.addListener('error',
+                (err, violation)=>this.onerror(err, i, violation));
+            c.addListener('end', msg=>{
+                console.error(msg);
+                this.finalize('over-budget');
+            });
+            c.addListener('ready', ()=>this.onready(i));
+        });
+        this.init_level_log();
+    }
+    // creates the controller for a --player SPEC, or for --ai, --ai-command
+    // or --listen (as the same kind of SPEC), describing it in entry of the log
+    create_controller(spec, opt, entry){
+        let [, kind, arg] = /^(\w+):(.+)$/.exec(spec)||[];
+        let res;
+        switch (kind)
+        {
+        case 'ai':
+            if (opt['in-process'])
+                res = new controller.InProcessAI(arg);
+            else
+            {
+                res = new controller.AI(arg, !!opt.unsafe,
+                    Object.assign({heap_mb: this.heap_mb}, this.cpu_limits),
+                    this.sandbox);
+                entry.heap_mb = this.heap_mb;
+                if (this.sandbox.seed!==undefined)
+                    entry.ai_seed = this.sandbox.seed;
+                if (this.sandbox.frame_ms)
+                {
+                    let {frame_ms, read_ms} = this.sandbox;
+                    entry.virtual_clock = {frame_ms, read_ms};
+                }
+                if (this.sandbox.strict)
+                    entry.strict_submission = true;
+            }
+            entry.controller = 'script';
+            entry.script = arg;
+            break;
+        case 'command':
+            res = new controller.StdioAI(arg);
+            entry.controller = 'command';
+            entry.command = arg;
+            break;
+        case 'listen':
+            res = new controller.Remote(+arg);
+            res.addListener('listening', ()=>console.error(
+                `Waiting for a connection on port ${arg}...`));
+            entry.controller = 'remote';
+            entry.port = +arg;
+            break;
+        case 'replay':
+        {
+            let log;
+            try {
+                log = JSON.parse(fs.readFileSync(arg, 'utf8'));
+            } catch(e){ this.die(`Cannot read ${arg}: ${e.message}`); }
+            if (typeof log.commands!='string')
+                this.die(`${arg} is not a log of a single-player game`);
+            res = new controller.Replay(log.commands);
+            entry.controller = 'replay';
+            entry.replay = arg;
+            break;
+        }
+        default:
+            this.die(`Invalid player: ${spec}`);
+        }
+        return res;
+    }
+    init_sandbox(opt){
+        let name = ['ai-seed', 'virtual-clock', 'strict-submission']
+            .filter(key=>opt[key]!==undefined).map(key=>`--${key}`)
+            .join(' and ');
+        if (!opt.ai && !(opt.player||[]).some(spec=>/^ai:/.test(spec)))
+            this.die(`${name} require${/ and /.test(name) ? '' : 's'} --ai`);
+        if (opt.unsafe || opt['in-process'])
+        {
+            let key = opt.unsafe ? 'unsafe' : 'in-process';
+            this.die(`${name} cannot be used with --${key}`);
+        }
+        if (opt['strict-submission'])
+            this.sandbox.strict = true;
+        let seed = opt['ai-seed'];
+        if (seed!==undefined)
+        {
+            if (!/^\d+$/.test(seed) || +seed>0xffffffff)
+                this.die('--ai-seed must be an integer from 0 to 4294967295');
+            this.sandbox.seed = +seed;
+        }
+        if (opt['virtual-clock']!==undefined)
+        {
+            let read_ms = +opt['virtual-clock'];
+            if (!(read_ms>0))
+                this.die('--virtual-clock must be positive');
+            Object.assign(this.sandbox, {frame_ms: this.interval||100,
+                read_ms});
+        }
+    }
+    init_cpu_limits(opt){
+        if (!opt.ai && !(opt.player||[]).some(spec=>/^ai:/.test(spec)))
+            this.die('CPU limits require --ai');
+        if (opt['in-process'])
+            this.die('CPU limits cannot be used with --in-process');
+        let limits = this.cpu_limits = {};
+        for (let key of ['move-ms', 'total-ms', 'init-ms'])
+        {
+            if (opt[key]===undefined)
+                continue;
+            let ms = +opt[key];
+            if (!(ms>0))
+                this.die(`--${key} must be positive`);
+            limits[key.replace('-', '_')] = ms;
+        }
+        limits.policy = opt['over-budget']||'skip';
+        if (!controller.CPU_POLICIES.includes(limits.policy))
+        {
+            this.die('--over-budget must be one of:'
+                +` ${controller.CPU_POLICIES.join(', ')}`);
+        }
+        this.main_log.cpu_limits = limits;
+    }
+    // creates the controllers of a multi-player game, except the keyboard
+    init_players(opt){
+        for (let key of ['campaign', 'dump'])
+        {
+            if (opt[key]!==undefined)
+                this.die(`--player and --${key} are incompatible`);
+        }
+        if (opt.player.length<2 || opt.player.length>game.PLAYER_CHARS.length)
+        {
+            this.die('--player must be specified from 2 to'
+                +` ${game.PLAYER_CHARS.length} times`);
+        }
+        this.main_log.players = opt.player.map((spec, i)=>{
+            let entry = {};
+            if (spec=='keyboard')
+            {
+                if (this.keyboard_player!==undefined)
+                    this.die('Only one player can use the keyboard');
+                this.keyboard_player = i;
+                entry.controller = 'keyboard';
+            }
+            else
+                this.controllers[i] = this.create_controller(spec, opt, entry);
+            return entry;
+        });
+        this.last_commands = opt.player.map(()=>' ');
+    }
+    // creates the world as specified by the options, cave or generation
+    load_level(opt){
         if (opt.frames)
         {
             if (opt.time!==undefined)
@@ -135,6 +670,16 @@ class Game {
                 this.die(`--time cannot be used with --still or --fps=0`);
             this.frames = +opt.time*this.fps;
         }
+        if (opt['magic-wall']!==undefined)
+        {
+            if (!/^\d+$/.test(opt['magic-wall']) || !(+opt['magic-wall']>0))
+                this.die('--magic-wall must be a positive integer');
+            this.world_opt.magic_wall_frames = +opt['magic-wall'];
+        }
+        if (opt.quota!==undefined)
+            this.world_opt.quota = +opt.quota;
+        if (opt.scoring!==undefined)
+            this.world_opt.scoring = this.read_scoring(opt.scoring);
         if (opt.cave)
         {
             for (let key of ['dump'].concat(generation_opts))
@@ -145,14 +690,20 @@ class Game {
             let lines = fs.readFileSync(opt.cave, 'utf8').split('\n');
             if (!lines[lines.length-1])
                 lines.pop();
-            this.world = generate.from_ascii(lines,
-                {frames: this.frames, fps: this.fps});
+            this.world = generate.from_ascii(lines, Object.assign(
+                {frames: this.frames, fps: this.fps}, this.world_opt));
+            let players = opt.player ? opt.player.length : 1;
+            if (this.world.players.length!=players)
+            {
+                this.die(`The cave has ${this.world.players.length} players,`
+                    +` but ${players} specified`);
+            }
             this.log.cave_source = 'file';
             this.log.cave_file = opt.cave;
         }
         if (!this.world)
         {
-            let w = 40, h = 22, butterflies = 3;
+            let {w, h, butterflies, fireflies} = generate.DEFAULTS;
             if (opt.geometry)
             {
                 [w, h] = opt.geometry.split('x').map(n=>+n);
@@ -161,6 +712,8 @@ class Game {
             }
             if (opt.butterflies!==undefined)
                 butterflies = +opt.butterflies;
+            if (opt.fireflies!==undefined)
+                fireflies = +opt.fireflies;
             let ingredients = {}, total = 0;
             if (opt['freq-space']!==undefined)
                 total += ingredients[' '] = +opt['freq-space'];
@@ -175,7 +728,7 @@ class Game {
             if (opt['freq-diamond']!==undefined)
                 total += ingredients['*'] = +opt['freq-diamond'];
             if (!total)
-                ingredients = {' ': 25, ':': 50, '+': 10, 'O': 10, '*': 5};
+                ingredients = generate.DEFAULTS.ingredients;
             let seed = +opt.seed;
             if (!Number.isFinite(seed))
             {
@@ -183,82 +736,22 @@ class Game {
                     random_js.engines.mt19937().autoSeed());
                 seed = random.integer(0, 0x7fffffff);
             }
-            this.world = generate.generate(seed, {
-                w, h, ingredients, butterflies,
-                frames: this.frames, fps: this.fps});
+            this.world = generate.generate(seed, Object.assign({
+                w, h, ingredients, butterflies, fireflies,
+                players: opt.player ? opt.player.length : 1,
+                frames: this.frames, fps: this.fps}, this.world_opt));
             this.log.cave_source = 'generated';
             this.log.seed = seed;
             this.log.geometry = {w, h};
             this.log.butterflies = butterflies;
+            if (fireflies)
+                this.log.fireflies = fireflies;
             this.log.ingredients = ingredients;
         }
+        this.sim = new game.Simulation(this.world);
         this.log.cave = this.world.render(false, false);
-        if (opt.dump)
-        {
-            for (let key of ['time', 'frames', 'interval', 'fps', 'still',
-                'max-speed', 'no-color', 'quiet', 'log'])
-            {
-                if (opt[key]!==undefined)
-                    this.die(`--dump and --${key} are incompatible`);
-            }
-            fs.writeFileSync(opt.dump,
-                this.world.render(false, false).join('\n')+'\n',
-                {encoding: 'utf8'});
-            return;
-        }
-        if (opt.log)
-            this.log_file = opt.log;
-        if (opt['no-color'])
-            this.no_color = true;
-        if (opt.ai)
-        {
-            if (opt['in-process'])
-                this.controller = new controller.InProcessAI(opt.ai);
-            else
-                this.controller = new controller.AI(opt.ai, !!opt.unsafe);
-            this.log.controller = 'script';
-            this.log.script = opt.ai;
-        }
-        else if (opt.unsafe)
-            this.die('--unsafe requires --ai');
-        else if (opt['in-process'])
-            this.die('--in-process requires --ai');
-        if (opt.quiet || !process.stdout.isTTY)
-        {
-            if (!opt.ai)
-            {
-                this.die(opt.quiet ? '--quiet requires --ai'
-                    : 'To render the game, stdout must be a TTY');
-            }
-            this.quiet = true;
-        }
-        else if (process.stdin.isTTY)
-            this.keyboard = new controller.Keyboard();
-        if (!this.controller)
-        {
-            if (!this.keyboard)
-                this.die('For interactive input, stdin must be a TTY');
-            this.controller = this.keyboard;
-            this.log.controller = 'keyboard';
-            if (!this.fps)
-                this.max_speed = true;
-        }
-        else if (this.keyboard)
-        {
-            if (!this.fps)
-                this.keyboard.addListener('control', command=>this.update());
-            this.keyboard.addListener('quit',
-                ()=>this.finalize('interrupted'));
-            this.keyboard.addListener('pause', ()=>this.pause());
-        }
-        this.controller.addListener('control', command=>this.control(command));
-        this.controller.addListener('quit', ()=>{
-            this.log.commands += 'q';
-            this.finalize('quit');
-        });
-        this.controller.addListener('pause', ()=>this.pause());
-        this.controller.addListener('error', err=>this.finalize('error', err));
-        this.controller.addListener('ready', ()=>this.onready());
+    }
+    init_level_log(){
         this.log.limit_frames = this.frames;
         if (this.fps)
             this.log.limit_time = this.frames/this.fps;
@@ -266,55 +759,244 @@ class Game {
             this.log.interval = this.interval;
         if (this.fps)
             this.log.fps = this.fps;
+        Object.assign(this.log, this.world_opt); // see generate.from_log()
         this.log.commands = '';
     }
-    start(){ this.controller.init(); }
+    load_campaign(opt){
+        for (let key of ['cave', 'dump'].concat(generation_opts, world_opts))
+        {
+            if (opt[key]!==undefined)
+                this.die(`--campaign and --${key} are incompatible`);
+        }
+        let levels;
+        try {
+            let json = JSON.parse(fs.readFileSync(opt.campaign, 'utf8'));
+            levels = Array.isArray(json) ? json : json.levels;
+        } catch(e){ this.die(`Cannot read campaign: ${e.message}`); }
+        if (!Array.isArray(levels) || !levels.length)
+            this.die('The campaign must have at least one level');
+        let allowed = ['cave', 'frames', 'time'].concat(generation_opts,
+            world_opts);
+        let dir = path.dirname(opt.campaign);
+        // all levels are prepared in advance to report errors right away
+        this.campaign = {file: opt.campaign, level: 0, levels: []};
+        for (let i = 0; i<levels.length; i++)
+        {
+            let level_opt = Object.assign({}, levels[i]);
+            for (let key in level_opt)
+            {
+                if (!allowed.includes(key))
+                    this.die(`Level ${i+1}: unknown option ${key}`);
+            }
+            if (level_opt.cave)
+                level_opt.cave = path.join(dir, level_opt.cave);
+            if (level_opt.frames===undefined && level_opt.time===undefined)
+            {
+                level_opt.frames = opt.frames;
+                level_opt.time = opt.time;
+            }
+            this.log = {};
+            this.world = undefined;
+            this.frames = DEFAULT_FRAMES;
+            this.world_opt = {};
+            this.load_level(level_opt);
+            this.campaign.levels.push({log: this.log, world: this.world,
+                sim: this.sim, frames: this.frames, world_opt: this.world_opt});
+        }
+        this.main_log = {campaign: opt.campaign, levels: []};
+        this.enter_level(0);
+    }
+    enter_level(n){
+        this.campaign.level = n;
+        ({log: this.log, world: this.world, sim: this.sim, frames: this.frames,
+            world_opt: this.world_opt} = this.campaign.levels[n]);
+    }
+    next_level(){
+        this.end_level(this.sim.is_completed() ? 'completed' : 'game-over');
+        let n = this.campaign.level+1;
+        this.enter_level(n);
+        this.init_level_log();
+        this.reset_commands();
+        this.ai_viewports = [];
+        this.view = undefined;
+        if (!this.quiet)
+        {
+            process.stdout.write('\x1b[2J'); // clear screen
+            this.redraw();
+        }
+        this.send_screens({level: n+1, levels: this.campaign.levels.length});
+    }
+    read_scoring(arg){
+        try {
+            if (typeof arg=='object') // from a campaign file
+                return game.make_scoring(arg);
+            let text = /^\s*\{/.test(arg) ? arg : fs.readFileSync(arg, 'utf8');
+            return game.make_scoring(JSON.parse(text));
+        } catch(e){ this.die(`Invalid scoring rules: ${e.message}`); }
+    }
+    start(){
+        if (this.export_file)
+            return this.export();
+        for (let c of this.controllers)
+            c.init();
+    }
+    export(){
+        let format = /\.html?$/i.test(this.export_file) ? 'html'
+            : 'asciicast';
+        fs.writeFileSync(this.export_file,
+            exporter[format](this.log, this.interval));
+        console.log(`Recording written to ${this.export_file}`);
+    }
     die(msg){
         console.error(msg);
         process.exit(1);
     }
+    // returns the part of the cave that fits into the console, following the
+    // player using the keyboard (or the first one), or undefined if it all fits
+    update_view(){
+        // lines below the cave: status, replay or campaign status, cursor
+        let lines = 2+!!this.timeline+!!this.campaign;
+        let w = process.stdout.columns, h = process.stdout.rows-lines;
+        if (!(w>0 && h>0)
+            || w>=this.world.width && h>=this.world.height)
+        {
+            return this.view = undefined;
+        }
+        if (!this.view)
+            this.view = new game.Viewport(w, h);
+        this.view.w = w;
+        this.view.h = h;
+        let player = this.world.players[this.keyboard_player||0];
+        this.view.follow(this.world, player.point);
+        return this.view;
+    }
     redraw(){
+        let screen = this.world.render(!this.no_color, true, undefined,
+            this.update_view());
+        if (this.timeline)
+        {
+            let status = `  Frame ${this.sim.frame()}/${this.timeline.frames}`;
+            if (this.fps)
+                status += `, ${+this.fps.toFixed(2)} FPS`;
+            if (this.paused)
+                status += ', paused';
+            screen.push((this.no_color ? '' : '\x1b[0m')+status+'\x1b[K');
+        }
+        if (this.campaign)
+        {
+            screen.push((this.no_color ? '' : '\x1b[0m')+`  Level`
+                +` ${this.campaign.level+1}/${this.campaign.levels.length}`
+                +'\x1b[K');
+        }
         process.stdout.write('\x1b[;H' // cursor to start of the screen
-            +this.world.render(!this.no_color, true).join('\n'));
+            +screen.join('\n'));
     }
-    onready(){
+    // starts the game once the controllers of all players are ready
+    onready(i){
+        this.ready[i] = true;
+        if (this.started
+            || this.controllers.some((c, i)=>!this.ready[i]))
+        {
+            return;
+        }
+        this.started = true;
         if (!this.quiet)
         {
+            process.stdout.on('resize', ()=>{
+                process.stdout.write('\x1b[2J'); // clear screen
+                this.redraw();
+            });
             // clear screen, hide cursor
             process.stdout.write('\x1b[2J\x1b[?25l');
+            if (this.start_frame)
+                return this.seek(this.start_frame);
             this.redraw();
         }
-        this.controller.onupdate(this.world.render(false, true));
+        this.send_screens();
         if (this.fps)
             this.timer = setTimeout(()=>this.update(), this.interval);
     }
-    control(command){
-        this.world.control(command);
-        switch (command)
+    // sends the current screen to every player still in the game, each with
+    // its own view of the cave
+    send_screens(signal){
+        this.controllers.forEach((c, i)=>{
+            if (!this.sim.is_playable(i) || this.forfeited[i])
+                return;
+            if (this.ai_viewport && !this.ai_viewports[i])
+            {
+                let {w, h} = this.ai_viewport;
+                this.ai_viewports[i] = new game.Viewport(w, h);
+            }
+            c.onupdate(this.sim.screen(i, this.ai_viewports[i], this.fog),
+                signal, this.sim.frame());
+        });
+    }
+    reset_commands(){
+        this.last_commands = this.last_commands.map(()=>' ');
+        this.moved = [];
+    }
+    control(command, i){ this.set_command(game.dir2char(command), i); }
+    set_command(c, i){
+        this.last_commands[i] = c;
+        this.moved[i] = true;
+        // with --max-speed, the frame advances once every player has moved
+        if (this.max_speed && this.started && this.controllers.every(
+            (c, i)=>this.moved[i] || !this.sim.is_playable(i)))
         {
-        case game.UP: this.last_command = 'u'; break;
-        case game.DOWN: this.last_command = 'd'; break;
-        case game.RIGHT: this.last_command = 'r'; break;
-        case game.LEFT: this.last_command = 'l'; break;
-        default: this.last_command = ' ';
-        }
-        if (this.max_speed)
             this.update();
+        }
+    }
+    quit(i){
+        if (!this.multi)
+        {
+            this.sim.step('q');
+            return this.finalize('quit');
+        }
+        this.set_command('q', i);
+    }
+    // the controller of a player in a multi-player game failing forfeits the
+    // game for that player only; violation describes a breach of the sandbox
+    onerror(err, i, violation){
+        let at = this.controllers[i].current; // the screen of the error
+        if (!this.multi)
+            return this.finalize('error', err, violation, at);
+        if (this.forfeited[i])
+            return;
+        this.forfeited[i] = true;
+        let entry = this.main_log.players[i];
+        entry.error = err.split('\n');
+        if (violation)
+            entry.violation = violation;
+        console.error(`Player ${i+1}: ${err}`);
+        if (at)
+            log_error_screen(entry, at);
+        this.controllers[i].destroy();
+        if (!this.started)
+            this.onready(i);
+        this.quit(i);
     }
     update(){
         let started = Date.now();
         if (this.timer)
             clearTimeout(this.timer);
-        if (this.world.is_playable())
-            this.log.commands += this.last_command;
-        this.last_command = ' ';
-        this.world.update();
+        if (this.sim.is_final()) // possible after seeking to the end
+            return this.game_over();
+        this.sim.step(this.multi ? this.last_commands : this.last_commands[0]);
+        this.reset_commands();
         if (!this.quiet)
             this.redraw();
-        if (this.world.is_final())
-            this.finalize('game-over');
-        else if (this.world.is_playable())
-            this.controller.onupdate(this.world.render(false, true));
+        if (this.sim.is_final())
+            this.game_over();
+        else
+            this.send_screens();
+        // without a timer, AI advances the frames, and once no player is left
+        // to move, the cave still has to settle
+        if (!this.fps && !this.controllers.includes(this.keyboard)
+            && !this.sim.is_final() && this.controllers.every(
+            (c, i)=>!this.sim.is_playable(i)))
+        {
+            setImmediate(()=>this.update());
+        }
         if (this.fps)
         {
             let elapsed = Date.now()-started;
@@ -322,6 +1004,35 @@ class Game {
                 Math.max(this.interval-elapsed, 0));
         }
     }
+    seek(frame){
+        if (this.timer)
+            clearTimeout(this.timer);
+        this.sim = this.timeline.simulation_at(frame);
+        this.world = this.sim.world;
+        this.reset_commands();
+        for (let c of this.controllers)
+            c.pos = this.sim.frame();
+        this.redraw();
+        this.send_screens();
+        if (this.fps && !this.paused)
+            this.timer = setTimeout(()=>this.update(), this.interval);
+    }
+    step(delta){
+        this.paused = true;
+        this.seek(this.sim.frame()+delta);
+    }
+    speed(factor){
+        if (!this.fps)
+            return;
+        this.fps = Math.min(Math.max(this.fps*factor, 0.25), 1000);
+        this.interval = 1000/this.fps;
+        this.redraw();
+    }
+    next_event(){
+        let event = this.timeline.next_event(this.sim.frame());
+        if (event)
+            this.seek(event.frame);
+    }
     pause(){
         this.paused = !this.paused;
         if (this.paused)
@@ -337,82 +1048,137 @@ class Game {
         }
         else
         {
-            if (this.controller==this.keyboard)
-                this.world.control(undefined); // reset pending command
+            if (this.controllers.includes(this.keyboard))
+                this.reset_commands(); // reset pending commands
             process.stdout.write('\x1b[2K'); // clear line
             this.update();
         }
     }
-    finalize(outcome, err){
+    game_over(){
+        if (this.campaign
+            && this.campaign.level+1<this.campaign.levels.length)
+        {
+            return this.next_level();
+        }
+        let outcome = this.sim.is_completed() ? 'completed' : 'game-over';
+        if (this.multi && this.world.players.every(player=>player.quit))
+            outcome = 'quit';
+        this.finalize(outcome);
+    }
+    end_level(outcome){
+        this.log.commands = this.sim.commands;
+        this.log.outcome = outcome;
+        if (outcome!='error')
+        {
+            let duration = this.log.commands.length;
+            if (this.multi)
+            {
+                this.log.players.forEach((entry, i)=>
+                    Object.assign(entry, this.sim.stats(i)));
+                this.log.winner = winner(this.log.players, this.forfeited);
+                duration = Math.max(...this.log.commands.map(c=>c.length));
+            }
+            else
+                Object.assign(this.log, this.sim.stats());
+            this.log.duration_frames = duration;
+            if (this.log.interval)
+                this.log.duration_time = duration*this.log.interval/1000;
+        }
+        if (this.campaign)
+            this.main_log.levels.push(this.log);
+    }
+    finalize(outcome, err, violation, at){
         if (this.timer)
             clearTimeout(this.timer);
         if (!this.quiet) // reset color, show cursor
             process.stdout.write('\x1b[0m\x1b[?25h\n');
-        this.controller.destroy();
-        if (this.keyboard && this.keyboard!==this.controller)
+        this.controllers.forEach((c, i)=>{
+            if (!this.forfeited[i])
+                c.destroy();
+        });
+        if (this.keyboard && !this.controllers.includes(this.keyboard))
             this.keyboard.destroy();
-        this.log.outcome = outcome;
+        this.end_level(outcome);
+        let log = this.main_log;
+        if (this.campaign)
+            log.outcome = outcome;
         switch (outcome)
         {
         case 'game-over': console.log('Game over'); break;
+        case 'completed': console.log('Level completed'); break;
         case 'quit': console.log('Game ended by the player'); break;
         case 'interrupted': console.log('Game interrupted'); break;
+        case 'over-budget': console.log('Game ended: AI over budget'); break;
         }
         if (err)
         {
-            this.log.error = err.split('\n');
+            log.error = err.split('\n');
+            if (violation)
+                log.violation = violation;
             console.error(err);
+            if (at)
+                log_error_screen(log, at);
         }
         else
         {
-            this.log.score = this.world.score;
-            this.log.diamonds_collected = this.world.diamonds_collected;
-            this.log.butterflies_killed = this.world.butterflies_killed;
-            this.log.streaks = this.world.streaks;
-            this.log.longest_streak = this.world.longest_streak;
-            console.log(`Score: ${this.log.score}`);
-            if (this.log.diamonds_collected)
+            if (this.campaign)
             {
-                console.log(
-                    `Diamonds collected: ${this.log.diamonds_collected}`);
+                log.levels.forEach((level, i)=>console.log(`Level ${i+1}:`
+                    +` ${level.outcome}, score ${level.score}`));
+                Object.assign(log, campaign_totals(log.levels));
+                if (log.levels_completed)
+                    console.log(`Levels completed: ${log.levels_completed}`);
             }
-            if (this.log.butterflies_killed)
+            if (this.multi)
             {
-                console.log(
-                    `Butterflies killed: ${this.log.butterflies_killed}`);
-            }
-            if (this.log.streaks)
-                console.log(`Hot streaks: ${this.log.streaks}`);
-            if (this.log.longest_streak)
-                console.log(`Longest streak: ${this.log.longest_streak}`);
-            this.log.duration_frames = this.log.commands.length;
-            let duration = `${this.log.duration_frames} frames`;
-            if (this.log.interval)
-            {
-                this.log.duration_time =
-                    this.log.commands.length*this.log.interval/1000;
-                duration += `, ${this.log.duration_time} seconds`;
+                log.players.forEach((entry, i)=>console.log(`Player ${i+1}`
+                    +` (${game.PLAYER_CHARS[i]}): score ${entry.score}`
+                    +(entry.error ? ', forfeited' : '')));
+                console.log(log.winner ? `Winner: player ${log.winner}`
+                    : 'No winner');
             }
+            else
+                console.log(`Score: ${log.score}`);
+            if (log.diamonds_collected)
+                console.log(`Diamonds collected: ${log.diamonds_collected}`);
+            if (log.butterflies_killed)
+                console.log(`Butterflies killed: ${log.butterflies_killed}`);
+            if (log.fireflies_killed)
+                console.log(`Fireflies killed: ${log.fireflies_killed}`);
+            if (log.streaks)
+                console.log(`Hot streaks: ${log.streaks}`);
+            if (log.longest_streak)
+                console.log(`Longest streak: ${log.longest_streak}`);
+            if (log.time_bonus)
+                console.log(`Time bonus: ${log.time_bonus}`);
+            let duration = `${log.duration_frames} frames`;
+            if (log.duration_time!==undefined)
+                duration += `, ${log.duration_time} seconds`;
             console.log(`Duration: ${duration}`);
-            if (this.controller.report)
-            {
-                this.log.ai_perf = this.controller.report;
-                if (this.log.ai_perf.processed)
-                {
-                    this.log.ai_perf.avg_ms = Math.round(
-                        this.log.ai_perf.total_ms/this.log.ai_perf.processed);
-                }
-            }
         }
-        switch (this.log.cave_source)
+        // also after errors, which may be caused by exceeding CPU limits
+        (this.multi ? log.players : [log]).forEach((entry, i)=>{
+            let report = this.controllers[i].report;
+            if (!report)
+                return;
+            entry.ai_perf = report;
+            if (report.processed)
+                report.avg_ms = Math.round(report.total_ms/report.processed);
+        });
+        if (this.campaign)
+            console.log(`Campaign: ${this.campaign.file}`);
+        else
         {
-        case 'generated': console.log(`Cave: seed ${this.log.seed}`); break;
-        case 'file': console.log(`Cave: ${this.log.cave_file}`); break;
+            switch (log.cave_source)
+            {
+            case 'generated': console.log(`Cave: seed ${log.seed}`); break;
+            case 'file': console.log(`Cave: ${log.cave_file}`); break;
+            }
         }
         if (this.log_file)
         {
             fs.writeFileSync(this.log_file,
-                JSON.stringify(this.log, null, 4)+'\n');
+                JSON.stringify(log, null, 4)+'\n');
             console.log(`Log written to ${this.log_file}`);
         }
         process.exit(err ? 1 : 0);
@@ -420,11 +1186,114 @@ class Game {
 }
 
 
+// Records in a log (or in the entry of a player) the frame and the screen on
+// which an AI failed, at = {frame, screen} (see controller.Controller), and
+// prints them
+function log_error_screen(log, at){
+    log.error_frame = at.frame;
+    log.error_screen = at.screen;
+    console.error(`On frame ${at.frame}:\n${at.screen.join('\n')}`);
+}
+
+// Returns the number of the player with the highest score among those who have
+// not forfeited, or null on a tie (or if every player has forfeited)
+function winner(players, forfeited){
+    let remaining = players.filter((entry, i)=>!forfeited[i]);
+    let best = Math.max(...remaining.map(entry=>entry.score));
+    let leaders = remaining.filter(entry=>entry.score==best);
+    return leaders.length==1 ? players.indexOf(leaders[0])+1 : null;
+}
+
+const CAMPAIGN_TOTALS = ['score', 'diamonds_collected', 'butterflies_killed',
+    'fireflies_killed', 'streaks', 'time_bonus', 'duration_frames'];
+
+// Sums up the results of campaign levels for the combined log
+function campaign_totals(levels){
+    let res = {levels_completed: 0};
+    for (let level of levels)
+    {
+        if (level.outcome=='completed')
+            res.levels_completed++;
+        for (let key of CAMPAIGN_TOTALS)
+        {
+            if (level[key]!==undefined)
+                res[key] = (res[key]||0)+level[key];
+        }
+        if (level.longest_streak!==undefined)
+        {
+            res.longest_streak = Math.max(res.longest_streak||0,
+                level.longest_streak);
+        }
+    }
+    if (levels[0].interval)
+        res.duration_time = res.duration_frames*levels[0].interval/1000;
+    return res;
+}
+
+function verify_logs(target){
+    let totals;
+    try {
+        totals = verify.verify_path(target, (file, res)=>{
+            if (!res)
+                console.log(`${file}: skipped (game ended with an error)`);
+            else if (res.length)
+                console.log(`${file}: FAILED\n    ${res.join('\n    ')}`);
+            else
+                console.log(`${file}: OK`);
+        });
+    } catch(e){ // e.g. target not found
+        console.error(`Cannot verify ${target}: ${e.message}`);
+        process.exit(1);
+    }
+    console.log(`Verified: ${totals.verified}, failed: ${totals.failed},`
+        +` skipped: ${totals.skipped}`);
+    process.exit(totals.failed ? 1 : 0);
+}
+
+function validate_script(script){
+    validate.validate(script, results=>{
+        for (let {status, check, detail} of results)
+        {
+            console.log(`${status.toUpperCase().padEnd(4)}  ${check}`
+                +(detail ? `: ${detail}` : ''));
+        }
+        let count = status=>results.filter(r=>r.status==status).length;
+        let failed = count('fail'), warnings = count('warn');
+        console.log(`${script}: ${failed ? 'FAILED' : 'PASSED'}`
+            +` (failed: ${failed}, warnings: ${warnings})`);
+        process.exit(failed ? 1 : 0);
+    });
+}
+
 function main()
 {
     let {options, argv} = getopt.parseSystem();
     if (argv.length)
         return getopt.showHelp();
+    if (options.verify)
+    {
+        for (let key in options)
+        {
+            if (key!='verify' && key!='force')
+            {
+                console.error(`--verify and --${key} are incompatible`);
+                process.exit(1);
+            }
+        }
+        return verify_logs(options.verify);
+    }
+    if (options.validate)
+    {
+        for (let key in options)
+        {
+            if (key!='validate' && key!='force')
+            {
+                console.error(`--validate and --${key} are incompatible`);
+                process.exit(1);
+            }
+        }
+        return validate_script(options.validate);
+    }
     if (!options.force && REQUIRED_NODE_VERSION
         && process.version!=REQUIRED_NODE_VERSION)
     {
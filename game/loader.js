@@ -1,43 +1,814 @@
 'use strict'; /*jslint node:true*/
 const fs = require('fs');
+const path = require('path');
+const util = require('util');
 const vm = require('vm');
+const modules = require('./modules.js');
+const sourcemap = require('./sourcemap.js');
 
-module.exports = {load, load_unsafe};
+// longer source lines are left out of stack traces (see map_stack())
+const MAX_CODE_LINE = 160;
+// import() is handled by the module loader of the host, whose errors lead out
+// of the sandbox, and since Node.js 18 importModuleDynamically cannot replace
+// it without a flag. Scripts using it are rejected before they run, even if it
+// is only in a string or a comment: telling code apart from them takes a
+// parser. A property named import is fine.
+const IMPORT_CALL_RE = /(?:^|[^.\w$])import\s*(?:\(|\/[/*])/;
+const CONTEXT_OPTIONS = {
+    codeGeneration: {strings: false, wasm: false}, // no eval (Node.js 10+)
+    // promise jobs cannot run after the call (Node.js 14.6+)
+    microtaskMode: 'afterEvaluate',
+};
+
+// Thrown when a sandboxed script breaks the rules; violation is {type,
+// message} for the log, where type is 'require', 'process', 'eval' or
+// 'submission' (or 'memory', reported by controller.AI when the heap cap is
+// exceeded)
+class SandboxViolation extends Error {
+    constructor(type, message){
+        super(message);
+        this.name = 'SandboxViolation';
+        this.violation = {type, message};
+    }
+}
+
+// Thrown when a sandboxed script throws, with the stack trace of its error
+// mapped to the original sources (see map_stack())
+class ScriptError extends Error {
+    constructor(stack){
+        // the message follows the location some errors start with
+        super(stack.replace(/^[^\n]*:\d+\n(?:[^]*?\n)?\n/, '').split('\n')[0]);
+        this.name = 'ScriptError';
+        this.stack = stack;
+    }
+}
 
 function wrapper(mod){
     let gen, current_screen = [];
-    return screen=>{
+    return (screen, signal)=>{
+        current_screen.length = screen.length;
         for (let i = 0; i<screen.length; i++)
             current_screen[i] = screen[i];
         if (!gen)
             gen = mod.play(current_screen);
-        return gen.next();
-    };
-}
-
-function load(script){
-    const id = '__hola_xyzzy__';
-    let text = fs.readFileSync(script, 'utf8');
-    // strip BOM and/or shebang
-    text = text.slice(/^\ufeff?(#![^\r\n]*)?/.exec(text)[0].length)+'\n';
-    let m = {exports: {}};
-    let console = Object.create(global.console);
-    console.log = console.info = ()=>{}; // silence debug logging
-    let context = vm.createContext({
-        module: m,
-        exports: m.exports,
-        console,
-        Buffer,
+        return gen.next(signal);
+    };
+}
+
+// Runs inside the sandbox before the script, so that everything the script can
+// reach is created there: an object of the host (even the prototype of the
+// global object) would lead the script to the Function constructor of the host
+// through its constructor chain, and from there to process. Returns a frozen
+// guard for the host to check after every call. console.error() and
+// console.warn() are collected for the host to print, and the rest of console
+// is silent. Called with the global object of the sandbox as this, with
+// lock_eval if the context does not prevent compiling code at run time, and
+// with the Buffer class made by buffer().
+function prelude(lock_eval, Buffer){
+    const global = this;
+    let violation, messages = '';
+    let forbid = (type, message = `${type} is not allowed`)=>{
+        violation = violation||`${type}\n${message}`;
+        let err = new Error(message);
+        err.name = 'SandboxViolation';
+        throw err;
+    };
+    // typeof still works, for bundles checking if they run in Node.js, but
+    // calling require() or doing anything with process is a violation
+    let define = (object, name, value)=>Object.defineProperty(object, name,
+        {value, writable: false, configurable: false});
+    let trap = type=>new Proxy({},
+        new Proxy({}, {get: ()=>()=>forbid(type)}));
+    define(global, 'require', function require(){ forbid('require'); });
+    define(global, 'process', trap('process'));
+    if (lock_eval)
+    {
+        // every constructor of functions compiles code, and is reachable
+        // through the prototype of its functions; the replacements keep the
+        // prototypes, for instanceof
+        for (let source of ['function(){}', 'function*(){}',
+            'async function(){}', 'async function*(){}'])
+        {
+            let proto;
+            try { proto = Object.getPrototypeOf(Function(`return ${source}`)());
+            } catch(e){ continue; } // not supported by this version
+            let locked = function(){ forbid('eval'); };
+            locked.prototype = proto;
+            define(proto, 'constructor', locked);
+        }
+        define(global, 'Function', Function.prototype.constructor);
+        define(global, 'eval', ()=>forbid('eval'));
+        if (typeof WebAssembly!='undefined')
+            define(global, 'WebAssembly', trap('eval'));
+    }
+    Object.defineProperty(Error, 'prepareStackTrace',
+        {value: undefined, writable: false, configurable: false});
+    let output = (...args)=>{
+        messages += `${args.map(String).join(' ')}\n`; };
+    let noop = ()=>{};
+    global.console = {log: noop, info: noop, debug: noop, trace: noop,
+        dir: noop, time: noop, timeEnd: noop, error: output, warn: output};
+    global.Buffer = Buffer;
+    global.global = global;
+    global.module = {exports: {}};
+    global.exports = global.module.exports;
+    return Object.freeze({
+        forbid,
+        violation: ()=>violation,
+        // the stack trace of an error of the script, as a string
+        describe: e=>{
+            try { return String(e && e.stack || e);
+            } catch(x){ return 'Runtime error'; }
+        },
+        messages: ()=>{
+            let res = messages;
+            messages = '';
+            return res;
+        },
     });
-    context.global = context;
-    vm.runInContext(
-        `(function(exports, module){${text}}).call(exports, exports, module);`
-        +`const ${id} = (${wrapper})(module.exports);`, context,
-        {filename: script});
-    return screen=>JSON.parse(vm.runInContext(
-        `JSON.stringify(${id}(${JSON.stringify(screen)}))`,
-        context));
+}
+
+// Runs inside the sandbox, and returns a subset of the Buffer class of Node.js,
+// which never exposes uninitialized memory, with the encodings utf8, latin1
+// (binary), ascii, hex, base64 and utf16le (ucs2). Unknown encodings and
+// values of unsupported types throw a TypeError rather than being taken for
+// something else.
+function buffer(){
+    const ENCODINGS = {utf8: 'utf8', 'utf-8': 'utf8', latin1: 'latin1',
+        binary: 'latin1', ascii: 'ascii', hex: 'hex', base64: 'base64',
+        utf16le: 'utf16le', 'utf-16le': 'utf16le', ucs2: 'utf16le',
+        'ucs-2': 'utf16le'};
+    const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz'
+        +'0123456789+/';
+    let encoding_of = encoding=>{
+        if (encoding===undefined || encoding===null)
+            return 'utf8';
+        let name = String(encoding).toLowerCase();
+        if (!Object.prototype.hasOwnProperty.call(ENCODINGS, name))
+            throw new TypeError(`Unknown encoding: ${encoding}`);
+        return ENCODINGS[name];
+    };
+    let chars = codes=>{
+        let res = '';
+        for (let i = 0; i<codes.length; i += 0x1000)
+            res += String.fromCharCode.apply(null, codes.slice(i, i+0x1000));
+        return res;
+    };
+    // strings to arrays of bytes
+    let latin1 = s=>{
+        let res = [];
+        for (let i = 0; i<s.length; i++)
+            res.push(s.charCodeAt(i)&0xff);
+        return res;
+    };
+    const encoders = {
+        utf8: s=>{
+            let res = [];
+            for (let ch of s)
+            {
+                let c = ch.codePointAt(0);
+                if (c>=0xd800 && c<0xe000) // a lone surrogate
+                    c = 0xfffd;
+                if (c<0x80)
+                    res.push(c);
+                else if (c<0x800)
+                    res.push(0xc0|c>>6, 0x80|c&63);
+                else if (c<0x10000)
+                    res.push(0xe0|c>>12, 0x80|c>>6&63, 0x80|c&63);
+                else
+                {
+                    res.push(0xf0|c>>18, 0x80|c>>12&63, 0x80|c>>6&63,
+                        0x80|c&63);
+                }
+            }
+            return res;
+        },
+        latin1,
+        ascii: latin1,
+        hex: s=>{
+            let res = [];
+            // up to the first pair that is not a byte, like Node.js
+            for (let i = 0; i+1<s.length; i += 2)
+            {
+                let byte = s.slice(i, i+2);
+                if (!/^[0-9a-f]{2}$/i.test(byte))
+                    break;
+                res.push(parseInt(byte, 16));
+            }
+            return res;
+        },
+        base64: s=>{
+            let res = [], bits = 0, n = 0;
+            // padding ends the data, and other characters (whitespace) are
+            // skipped; the URL-safe alphabet works too
+            for (let ch of s)
+            {
+                if (ch=='=')
+                    break;
+                let value = BASE64.indexOf(ch=='-' ? '+' : ch=='_' ? '/' : ch);
+                if (value<0)
+                    continue;
+                bits = bits<<6|value;
+                n += 6;
+                if (n>=8)
+                {
+                    n -= 8;
+                    res.push(bits>>n&0xff);
+                    bits &= (1<<n)-1;
+                }
+            }
+            return res;
+        },
+        utf16le: s=>{
+            let res = [];
+            for (let i = 0; i<s.length; i++)
+                res.push(s.charCodeAt(i)&0xff, s.charCodeAt(i)>>8);
+            return res;
+        },
+    };
+    // bytes (a Uint8Array) to strings
+    const decoders = {
+        utf8: bytes=>{
+            let codes = [];
+            for (let i = 0; i<bytes.length;)
+            {
+                let b = bytes[i++], c = 0xfffd, need = 0;
+                let lower = 0x80, upper = 0xbf; // of the next byte
+                if (b<0x80)
+                    c = b;
+                else if (b>=0xc2 && b<=0xdf)
+                    [c, need] = [b&0x1f, 1];
+                else if (b>=0xe0 && b<=0xef)
+                {
+                    [c, need] = [b&0xf, 2];
+                    lower = b==0xe0 ? 0xa0 : lower; // overlong
+                    upper = b==0xed ? 0x9f : upper; // surrogates
+                }
+                else if (b>=0xf0 && b<=0xf4)
+                {
+                    [c, need] = [b&7, 3];
+                    lower = b==0xf0 ? 0x90 : lower; // overlong
+                    upper = b==0xf4 ? 0x8f : upper; // above U+10FFFF
+                }
+                for (; need && bytes[i]>=lower && bytes[i]<=upper; need--)
+                {
+                    c = c<<6|bytes[i++]&0x3f;
+                    [lower, upper] = [0x80, 0xbf];
+                }
+                // an invalid sequence is replaced, up to the byte breaking it
+                if (need)
+                    c = 0xfffd;
+                if (c>0xffff)
+                    codes.push(0xd800+(c-0x10000>>10), 0xdc00+(c&0x3ff));
+                else
+                    codes.push(c);
+            }
+            return chars(codes);
+        },
+        latin1: bytes=>chars(bytes),
+        ascii: bytes=>chars(bytes.map(b=>b&0x7f)),
+        hex: bytes=>Array.from(bytes,
+            b=>(b+0x100).toString(16).slice(1)).join(''),
+        base64: bytes=>{
+            let res = '';
+            for (let i = 0; i<bytes.length; i += 3)
+            {
+                let n = bytes[i]<<16|bytes[i+1]<<8|bytes[i+2];
+                res += BASE64[n>>18&63]+BASE64[n>>12&63]
+                    +(i+1<bytes.length ? BASE64[n>>6&63] : '=')
+                    +(i+2<bytes.length ? BASE64[n&63] : '=');
+            }
+            return res;
+        },
+        utf16le: bytes=>{
+            let codes = [];
+            for (let i = 0; i+1<bytes.length; i += 2)
+                codes.push(bytes[i]|bytes[i+1]<<8);
+            return chars(codes);
+        },
+    };
+    let encode = (s, encoding)=>encoders[encoding_of(encoding)](String(s));
+    let check = (name, value, min, max)=>{
+        if (!(value>=min && value<=max) || Math.floor(value)!==value)
+        {
+            throw new RangeError(`The value of "${name}" is out of range. `
+                +`It must be an integer >= ${min} and <= ${max}. `
+                +`Received ${value}`);
+        }
+        return value;
+    };
+    // the bytes to look for in indexOf() and lastIndexOf()
+    let needle = (value, encoding)=>{
+        if (typeof value=='number')
+            return [value&0xff];
+        if (typeof value=='string')
+            return encode(value, encoding);
+        if (value instanceof Uint8Array)
+            return value;
+        throw new TypeError('The "value" argument must be a string, a number,'
+            +' a Buffer or a Uint8Array');
+    };
+    class Buffer extends Uint8Array {
+        static alloc(size, fill, encoding){
+            let res = new Buffer(size);
+            if (fill!==undefined)
+                res.fill(fill, encoding);
+            return res;
+        }
+        static allocUnsafe(size){ return new Buffer(size); }
+        static allocUnsafeSlow(size){ return new Buffer(size); }
+        static from(value, encoding, length){
+            if (value instanceof ArrayBuffer)
+            {
+                let offset = encoding||0;
+                if (length===undefined)
+                    length = value.byteLength-offset;
+                return new Buffer(value, offset, length);
+            }
+            if (typeof value=='string')
+                return new Buffer(encode(value, encoding));
+            if (value && typeof value=='object' && value.length!==undefined)
+                return new Buffer(value);
+            if (value && typeof value=='object' && value.type=='Buffer'
+                && Array.isArray(value.data))
+            {
+                return new Buffer(value.data);
+            }
+            throw new TypeError('The first argument must be a string, '
+                +'a Buffer, an ArrayBuffer, an array or an array-like object');
+        }
+        static isBuffer(value){ return value instanceof Buffer; }
+        static isEncoding(encoding){
+            return typeof encoding=='string' && Object.prototype.hasOwnProperty
+                .call(ENCODINGS, encoding.toLowerCase());
+        }
+        static byteLength(value, encoding){
+            if (typeof value=='string')
+                return encode(value, encoding).length;
+            if (value instanceof ArrayBuffer || ArrayBuffer.isView(value))
+                return value.byteLength;
+            throw new TypeError('The "string" argument must be a string, '
+                +'a Buffer or an ArrayBuffer');
+        }
+        static compare(a, b){
+            for (let i = 0; i<a.length && i<b.length; i++)
+            {
+                if (a[i]!=b[i])
+                    return a[i]<b[i] ? -1 : 1;
+            }
+            return a.length==b.length ? 0 : a.length<b.length ? -1 : 1;
+        }
+        static concat(list, total){
+            if (total===undefined)
+                total = list.reduce((sum, b)=>sum+b.length, 0);
+            let res = new Buffer(total), pos = 0;
+            for (let b of list)
+            {
+                let n = Math.min(b.length, total-pos);
+                res.set(b.subarray(0, n), pos);
+                pos += n;
+            }
+            return res;
+        }
+        compare(target){ return Buffer.compare(this, target); }
+        copy(target, target_start, start, end){
+            let part = this.subarray(start||0, end===undefined ? this.length
+                : end);
+            let n = Math.min(part.length, target.length-(target_start||0));
+            target.set(part.subarray(0, n), target_start||0);
+            return n;
+        }
+        slice(start, end){ return this.subarray(start, end); } // a view
+        equals(other){ return Buffer.compare(this, other)==0; }
+        // fill(value, offset, end, encoding), where encoding may come earlier
+        fill(value, offset, end, encoding){
+            if (typeof offset=='string')
+                [encoding, offset, end] = [offset, undefined, undefined];
+            else if (typeof end=='string')
+                [encoding, end] = [end, undefined];
+            offset = check('offset', offset===undefined ? 0 : offset, 0,
+                this.length);
+            end = check('end', end===undefined ? this.length : end, 0,
+                this.length);
+            let bytes;
+            if (typeof value=='number')
+                bytes = [value&0xff];
+            else if (typeof value=='string')
+                bytes = encode(value, encoding);
+            else if (value instanceof Uint8Array)
+                bytes = value;
+            else
+            {
+                throw new TypeError('The "value" argument must be a string, '
+                    +'a number, a Buffer or a Uint8Array');
+            }
+            if (!bytes.length)
+                bytes = [0];
+            for (let i = offset; i<end; i++)
+                this[i] = bytes[(i-offset)%bytes.length];
+            return this;
+        }
+        indexOf(value, offset, encoding){
+            if (typeof offset=='string')
+                [encoding, offset] = [offset, undefined];
+            let bytes = needle(value, encoding);
+            let from = offset===undefined ? 0 : offset<0
+                ? Math.max(this.length+offset, 0) : +offset;
+            for (let i = from; i+bytes.length<=this.length; i++)
+            {
+                if (bytes.every((b, j)=>this[i+j]==b))
+                    return i;
+            }
+            return -1;
+        }
+        lastIndexOf(value, offset, encoding){
+            if (typeof offset=='string')
+                [encoding, offset] = [offset, undefined];
+            let bytes = needle(value, encoding);
+            let from = offset===undefined ? this.length
+                : offset<0 ? this.length+offset : +offset;
+            for (let i = Math.min(from, this.length-bytes.length); i>=0; i--)
+            {
+                if (bytes.every((b, j)=>this[i+j]==b))
+                    return i;
+            }
+            return -1;
+        }
+        includes(value, offset, encoding){
+            return this.indexOf(value, offset, encoding)!=-1; }
+        // write(string, offset, length, encoding), where encoding may come
+        // earlier; characters that do not fit are not written partly
+        write(string, offset, length, encoding){
+            if (typeof string!='string')
+                throw new TypeError('The "string" argument must be a string');
+            if (typeof offset=='string')
+                [encoding, offset, length] = [offset, undefined, undefined];
+            else if (typeof length=='string')
+                [encoding, length] = [length, undefined];
+            offset = check('offset', offset===undefined ? 0 : offset, 0,
+                this.length);
+            length = check('length', length===undefined ? this.length-offset
+                : length, 0, this.length-offset);
+            let bytes = encode(string, encoding), n = bytes.length;
+            if (n>length)
+            {
+                n = length;
+                if (encoding_of(encoding)=='utf8')
+                {
+                    while (n>0 && (bytes[n]&0xc0)==0x80)
+                        n--;
+                }
+                else if (encoding_of(encoding)=='utf16le')
+                    n -= n%2;
+            }
+            this.set(bytes.slice(0, n), offset);
+            return n;
+        }
+        toString(encoding, start, end){
+            start = Math.max(start||0, 0);
+            end = end===undefined ? this.length : Math.min(end, this.length);
+            let name = encoding_of(encoding);
+            return end>start ? decoders[name](this.subarray(start, end)) : '';
+        }
+        toJSON(){ return {type: 'Buffer', data: Array.from(this)}; }
+    }
+    let method = (name, value)=>Object.defineProperty(Buffer.prototype, name,
+        {value, writable: true, configurable: true});
+    let view = (buf, offset, size)=>{
+        check('offset', offset===undefined ? 0 : offset, 0, buf.length-size);
+        return new DataView(buf.buffer, buf.byteOffset+(offset||0), size);
+    };
+    // readUInt8(), writeInt16LE(), readDoubleBE() and so on
+    for (let [type, size, get] of [['UInt8', 1, 'Uint8'], ['Int8', 1, 'Int8'],
+        ['UInt16', 2, 'Uint16'], ['Int16', 2, 'Int16'],
+        ['UInt32', 4, 'Uint32'], ['Int32', 4, 'Int32'],
+        ['Float', 4, 'Float32'], ['Double', 8, 'Float64']])
+    {
+        let bits = /Int/.test(type) && size*8, signed = !/^U/.test(type);
+        let min = signed ? -(2**(bits-1)) : 0;
+        let max = signed ? 2**(bits-1)-1 : 2**bits-1;
+        for (let order of size>1 ? ['LE', 'BE'] : [''])
+        {
+            let little = order=='LE';
+            method(`read${type}${order}`, function(offset){
+                return view(this, offset, size)[`get${get}`](0, little); });
+            method(`write${type}${order}`, function(value, offset){
+                value = +value;
+                if (bits && (value<min || value>max))
+                    check('value', value, min, max);
+                view(this, offset, size)[`set${get}`](0, value, little);
+                return (offset||0)+size;
+            });
+        }
+    }
+    // readUIntLE(offset, byte_length) and so on, for 1 to 6 bytes
+    for (let order of ['LE', 'BE'])
+    {
+        // the index of the byte i from the least significant one
+        let at = (offset, size, i)=>offset+(order=='LE' ? i : size-1-i);
+        let read = (buf, offset, size)=>{
+            check('byteLength', size, 1, 6);
+            view(buf, offset, size);
+            let res = 0;
+            for (let i = size-1; i>=0; i--)
+                res = res*256+buf[at(offset||0, size, i)];
+            return res;
+        };
+        let write = (buf, value, offset, size, min, max)=>{
+            check('value', +value, min, max);
+            view(buf, offset, size);
+            value = value<0 ? 2**(size*8)+value : +value;
+            for (let i = 0; i<size; i++, value = Math.floor(value/256))
+                buf[at(offset||0, size, i)] = value%256;
+            return (offset||0)+size;
+        };
+        method(`readUInt${order}`, function(offset, size){
+            return read(this, offset, size); });
+        method(`readInt${order}`, function(offset, size){
+            let res = read(this, offset, size);
+            return res>=2**(size*8-1) ? res-2**(size*8) : res;
+        });
+        method(`writeUInt${order}`, function(value, offset, size){
+            check('byteLength', size, 1, 6);
+            return write(this, value, offset, size, 0, 2**(size*8)-1);
+        });
+        method(`writeInt${order}`, function(value, offset, size){
+            check('byteLength', size, 1, 6);
+            return write(this, value, offset, size, -(2**(size*8-1)),
+                2**(size*8-1)-1);
+        });
+    }
+    return Buffer;
+}
+
+// Runs inside the sandbox, after prelude(), to make the script reproducible:
+// opt.seed replaces Math.random() with a seeded generator (mulberry32), and
+// opt.frame_ms replaces Date and adds performance.now() with a virtual clock
+// starting at 0 (the epoch), which the returned function, called with the
+// frame number of every screen, moves to the start of that frame. Every
+// reading of the clock advances it by opt.read_ms, so that loops waiting for
+// the time to pass end. Called with the global object of the sandbox as this.
+function determinize(opt){
+    const {floor, imul, max} = Math, {construct} = Reflect, RealDate = Date;
+    if (opt.seed!==undefined)
+    {
+        let state = opt.seed>>>0;
+        Math.random = function random(){
+            state = state+0x6d2b79f5|0;
+            let t = imul(state^state>>>15, state|1);
+            t = t+imul(t^t>>>7, t|61)^t;
+            return ((t^t>>>14)>>>0)/4294967296;
+        };
+    }
+    if (!opt.frame_ms)
+        return ()=>{};
+    let time = 0;
+    let now = ()=>time += opt.read_ms;
+    let date = function Date(...args){
+        if (!new.target)
+            return new RealDate(floor(now())).toString();
+        return construct(RealDate, args.length ? args : [floor(now())],
+            new.target);
+    };
+    Object.setPrototypeOf(date, RealDate); // for Date.parse() and Date.UTC()
+    date.prototype = RealDate.prototype;
+    date.prototype.constructor = date;
+    date.now = ()=>floor(now());
+    this.Date = date;
+    this.performance = {now: ()=>now()};
+    return frame=>{
+        if (frame!==undefined)
+            time = max(time, frame*opt.frame_ms);
+    };
+}
+
+// Runs inside the sandbox, and returns the frozen interface of the host to the
+// sandbox: the guard made by prelude(), the clock made by determinize() and the
+// registry of modules (see modules.registry()) stay in this closure rather than
+// in globals, which the script could reach. The host passes strings (JSON for
+// objects) and gets strings back, except for the functions of the modules it
+// compiles in the context, and play() (the target, if it is bound) for checking
+// its type (see is_generator_function()). Called with the global object of the
+// sandbox as this.
+function internals(guard, clock, registry, wrapper, strict){
+    const {parse, stringify} = JSON;
+    const {apply} = Reflect, {get, set, has} = WeakMap.prototype;
+    const main = this.module;
+    let modules = registry(guard.forbid, strict), play;
+    // the targets of bound functions, so that a bound generator counts as one
+    let targets = new WeakMap(), bind = Function.prototype.bind;
+    Object.defineProperty(Function.prototype, 'bind', {
+        value: {bind(this_arg, ...args){
+            let res = apply(bind, this, [this_arg, ...args]);
+            apply(set, targets, [res, this]);
+            return res;
+        }}.bind,
+        writable: true, configurable: true});
+    return Object.freeze(Object.assign({
+        define: (file, deps, esm, fn)=>modules.define(file, parse(deps), esm,
+            fn),
+        start: entry=>{
+            modules.run(entry, main);
+            play = wrapper(main.exports);
+        },
+        exported_play: ()=>{
+            let fn = main.exports.play;
+            while (apply(has, targets, [fn]))
+                fn = apply(get, targets, [fn]);
+            return fn;
+        },
+        move: (frame, screen, signal)=>{
+            clock(frame);
+            return stringify(play(parse(screen),
+                signal===undefined ? undefined : parse(signal)));
+        },
+    }, guard));
+}
+
+// Loads a script (a file or a package directory, with CommonJS or ES modules,
+// see modules.collect()) into a hardened sandbox and returns a function calling
+// it with a screen (with an optional signal, and the frame number of the screen
+// for the virtual clock), which throws SandboxViolation if the script used a
+// forbidden feature at any time, even if it caught the error. opt is for
+// determinize(), and opt.strict enforces the rules of the contest: a single
+// file, not importing any other files, exporting a generator play().
+function load(script, opt){
+    opt = opt||{};
+    if (opt.strict && fs.statSync(script).isDirectory())
+    {
+        throw new SandboxViolation('submission',
+            'a submission must be a single file');
+    }
+    let {entry, modules: files} = modules.collect(script, opt.strict);
+    let context = vm.createContext(Object.create(null), CONTEXT_OPTIONS);
+    let lock_eval = !blocks_eval();
+    // where import() gets to the host at all, the promise it returns is
+    // rejected with a violation (see IMPORT_CALL_RE)
+    let importModuleDynamically = ()=>sandbox.forbid('require',
+        'import() is not allowed');
+    let compile = (code, opt)=>vm.runInContext(code, context,
+        Object.assign({importModuleDynamically}, opt));
+    let sandbox = compile(`(${internals}).call(this,`
+        +` (${prelude}).call(this, ${lock_eval}, (${buffer})()),`
+        +` (${determinize}).call(this, ${JSON.stringify(opt)}),`
+        +` ${modules.registry}, ${wrapper}, ${!!opt.strict})`);
+    let sources = new Map(); // file names in stack traces to files and texts
+    // the host only looks at strings coming from the sandbox, not at objects
+    // that could run code of the script with arguments of the host
+    let run = fn=>{
+        let res, error, stack;
+        try {
+            res = fn();
+        } catch(e){ error = e; }
+        // promise jobs run after a script of the context (microtaskMode)
+        compile('');
+        let messages = sandbox.messages();
+        if (messages && typeof messages=='string')
+            process.stderr.write(messages);
+        if (error)
+            stack = sandbox.describe(error);
+        let violation = sandbox.violation();
+        if (typeof violation=='string')
+        {
+            let [type, message] = violation.split('\n');
+            throw new SandboxViolation(type, message);
+        }
+        if (error && is_eval_error(error))
+            throw new SandboxViolation('eval', 'eval is not allowed');
+        if (error)
+        {
+            throw new ScriptError(map_stack(typeof stack=='string' ? stack
+                : 'Runtime error', sources));
+        }
+        return res;
+    };
+    for (let [file, {header, text, esm, json, deps}] of files)
+    {
+        if (json) // only data, not code
+            text = `module.exports = ${JSON.stringify(JSON.parse(text))};`;
+        else if (IMPORT_CALL_RE.test(text))
+            throw new SandboxViolation('require', 'import() is not allowed');
+        let filename = file==path.resolve(script) ? script
+            : path.relative('', file);
+        sources.set(filename, {file, text});
+        // the lines of the file keep their numbers in stack traces
+        run(()=>sandbox.define(file, JSON.stringify(deps), esm,
+            compile(`(function(exports, module, require, __import__,`
+            +` __export_star__){${header}\n${text}\n})`,
+            {filename, lineOffset: -1})));
+    }
+    run(()=>sandbox.start(entry));
+    // the rules of the contest require play() to be a generator, although any
+    // function returning an iterator works
+    if (opt.strict && !is_generator_function(run(()=>sandbox.exported_play())))
+    {
+        throw new SandboxViolation('submission',
+            'play must be an exported generator function');
+    }
+    return (screen, signal, frame)=>JSON.parse(String(run(()=>sandbox.move(
+        frame, JSON.stringify(screen), JSON.stringify(signal)))));
+}
+
+// Whether fn (from the sandbox) is a generator function, but not an async one,
+// as told by the host: Object.prototype.toString() or the constructor of fn in
+// the sandbox can be changed by the script
+function is_generator_function(fn){
+    if (util.types) // Node.js 10+
+    {
+        return util.types.isGeneratorFunction(fn)
+            && !util.types.isAsyncFunction(fn);
+    }
+    try {
+        return /^(function\b)?\s*\*/.test(
+            Function.prototype.toString.call(fn));
+    } catch(e){ return false; } // not a function
+}
+
+let eval_blocked;
+// Whether the codeGeneration option of CONTEXT_OPTIONS prevents compiling code
+// at run time, since older versions of Node.js ignore the options they do not
+// know; prelude() locks eval itself otherwise. Without microtaskMode, promise
+// jobs of the script run after the call, where AI.worker_run() still counts
+// their time for the move.
+function blocks_eval(){
+    if (eval_blocked===undefined)
+    {
+        let context = vm.createContext(Object.create(null), CONTEXT_OPTIONS);
+        eval_blocked = vm.runInContext(`try { eval('0'); false; }
+            catch(e){ e instanceof EvalError; }`, context)===true;
+    }
+    return eval_blocked;
+}
+
+// Rewrites a stack trace of the script, leaving out the frames of the loader,
+// so that the positions in the files having a source map (see
+// sourcemap.find()) point to the original sources. The source line shown
+// above the message of some errors is left out if it is long (the script is
+// probably minified) or generated.
+function map_stack(stack, sources){
+    let maps = new Map();
+    let original = (filename, line, column)=>{
+        let {file, text} = sources.get(filename);
+        if (!maps.has(filename))
+            maps.set(filename, sourcemap.find(text, file));
+        let map = maps.get(filename);
+        let pos = map && map.lookup(line-1, column-1);
+        return pos && `${pos.source}:${pos.line+1}:${pos.column+1}`;
+    };
+    let lines = stack.split('\n');
+    // filename:line, the source line and a caret under the column, which
+    // Node.js only adds to errors leaving the vm module, not to those thrown
+    // in calls of the host to the sandbox: these get it from the top frame
+    let m = /^(.*):(\d+)$/.exec(lines[0]);
+    if (!(m && sources.has(m[1])))
+    {
+        let frame = lines.map(line=>/^\s+at .*?([^\s()]+):(\d+):(\d+)\)?$/
+            .exec(line)).find(frame=>frame && sources.has(frame[1]));
+        let code = frame
+            && sources.get(frame[1]).text.split('\n')[frame[2]-1];
+        if (code!==undefined)
+        {
+            lines.unshift(`${frame[1]}:${frame[2]}`, code,
+                ' '.repeat(frame[3]-1)+'^', '');
+            m = /^(.*):(\d+)$/.exec(lines[0]);
+        }
+    }
+    let caret = lines[2]===undefined ? -1 : lines[2].indexOf('^');
+    if (m && sources.has(m[1]) && caret>=0 && lines[3]==='')
+    {
+        let location = `${m[1]}:${m[2]}:${caret+1}`;
+        let mapped = original(m[1], +m[2], caret+1);
+        if (mapped || lines[1].length>MAX_CODE_LINE)
+            lines.splice(0, 4, mapped||location, '');
+    }
+    let res = [];
+    for (let line of lines)
+    {
+        // the frames of the loader, and of the host calling it
+        if (/^\s+at .*\bevalmachine\.<anonymous>/.test(line))
+            continue;
+        if (/^\s+at (Script\.runInContext|.*\(node:vm:)/.test(line)
+            || line.includes(`${__filename}:`))
+        {
+            break;
+        }
+        res.push(line.replace(/([^\s()]+):(\d+):(\d+)/g,
+            (s, filename, line, column)=>sources.has(filename)
+            && original(filename, +line, +column) || s));
+    }
+    return res.join('\n');
+}
+
+// whether error was thrown because the script tried to compile code at run
+// time, which the sandbox does not allow
+function is_eval_error(error){
+    try {
+        return /^(EvalError|CompileError)$/.test(error.name)
+            && /code generation/i.test(error.message);
+    } catch(e){ return false; }
 }
 
 function load_unsafe(script){
     return wrapper(require(fs.realpathSync(script))); }
+
+module.exports = {SandboxViolation, load, load_unsafe};
@@ -0,0 +1,440 @@
+'use strict'; /*jslint node:true*/
+const fs = require('fs');
+const path = require('path');
+const {tokenize} = require('./tokenize.js');
+
+// Support for AI scripts made of several files or written as ES modules:
+// collect() finds the modules reachable from the entry by their static
+// imports and require() calls with relative paths, converting ES modules to
+// CommonJS, and registry() runs inside the sandbox to evaluate them.
+
+const EXTENSIONS = ['.js', '.mjs', '.cjs', '.json'];
+const INDEX_FILES = EXTENSIONS.map(ext=>`index${ext}`);
+
+// the static imports and exports, matched (sticky) at the offsets of their
+// keywords found by module_keywords(), wherever they are on their lines
+const IMPORT_RE = new RegExp(String.raw`import(?=[\s{*'"])\s*`
+    +String.raw`(?:([\w$]+)?\s*,?\s*(\*\s*as\s+[\w$]+|\{[^}]*\})?\s*from\s*)?`
+    +String.raw`(['"])([^'"\n]+)\3[ \t]*;?`, 'y');
+const EXPORT_FROM_RE = new RegExp(String.raw`export\s*`
+    +String.raw`(\*\s*(?:as\s+([\w$]+)\s*)?|\{([^}]*)\}\s*)from\s*`
+    +String.raw`(['"])([^'"\n]+)\4[ \t]*;?`, 'y');
+const EXPORT_LIST_RE = /export\s*\{([^}]*)\}[ \t]*;?/y;
+const EXPORT_DECL_RE = new RegExp(String.raw`export\s+(default\s+)?`
+    +String.raw`(?:((?:async\s+)?function\b\s*\*?\s*|class\b\s*)([\w$]+)?`
+    +String.raw`|(const|let|var)\b)`, 'y');
+const EXPORT_DEFAULT_RE = /export\s+default\b\s*/y;
+const REQUIRE_RE = /\brequire\s*\(\s*(['"])([^'"\n]+)\1\s*\)/g;
+
+function is_file(file){
+    try { return fs.statSync(file).isFile();
+    } catch(e){ return false; }
+}
+
+function is_directory(file){
+    try { return fs.statSync(file).isDirectory();
+    } catch(e){ return false; }
+}
+
+// whether file (after resolving symbolic links) is inside the directory root
+function is_inside(file, root){
+    let rel = path.relative(root, fs.realpathSync(file));
+    return !rel.startsWith('..') && !path.isAbsolute(rel);
+}
+
+// Returns the entry of a package directory: "main" of its package.json, or
+// an index file
+function directory_entry(dir){
+    let pkg = path.join(dir, 'package.json'), main;
+    if (is_file(pkg))
+    {
+        try { main = JSON.parse(fs.readFileSync(pkg, 'utf8')).main;
+        } catch(e){ throw new Error(`Invalid ${pkg}: ${e.message}`); }
+    }
+    let candidates = typeof main=='string'
+        ? with_extensions(path.resolve(dir, main)) : [];
+    if (typeof main=='string')
+        candidates.push(...INDEX_FILES.map(f=>path.resolve(dir, main, f)));
+    candidates.push(...INDEX_FILES.map(f=>path.join(dir, f)));
+    return candidates.find(is_file);
+}
+
+function with_extensions(file){
+    return [file].concat(EXTENSIONS.map(ext=>file+ext)); }
+
+// Resolves a relative specifier like Node.js does, but only to files within
+// root; returns undefined if there is no such file
+function resolve(spec, from, root){
+    if (!/^\.\.?(\/|$)/.test(spec))
+        return;
+    let file = path.resolve(path.dirname(from), spec);
+    let res = with_extensions(file).find(is_file)
+        || is_directory(file) && directory_entry(file);
+    if (res && is_inside(res, root))
+        return res;
+}
+
+// Returns the "type" of the package.json nearest to file, like Node.js does,
+// or undefined if it has none
+function package_type(file){
+    for (let dir = path.dirname(file); ; dir = path.dirname(dir))
+    {
+        let pkg = path.join(dir, 'package.json');
+        if (is_file(pkg))
+        {
+            let type;
+            try { type = JSON.parse(fs.readFileSync(pkg, 'utf8')).type;
+            } catch(e){ throw new Error(`Invalid ${pkg}: ${e.message}`); }
+            return type;
+        }
+        if (path.dirname(dir)==dir)
+            return;
+    }
+}
+
+// Returns the offsets of the import and export keywords of the static imports
+// and exports of text, which are at the top level and not in comments or
+// strings; import() and import.meta are not static imports
+function module_keywords(text){
+    let res = new Set(), depth = 0, prev, keyword;
+    tokenize(text, (type, value, line, pos)=>{
+        let punctuator = type=='punctuator' && value;
+        if (keyword!==undefined && punctuator!='(' && punctuator!='.')
+            res.add(keyword);
+        keyword = undefined;
+        if (punctuator && '([{'.includes(punctuator))
+            depth++;
+        else if (punctuator && ')]}'.includes(punctuator))
+            depth--;
+        else if (type=='name' && (value=='import' || value=='export')
+            && !depth && !(prev && prev.value=='.' && prev.type=='punctuator'))
+        {
+            keyword = pos;
+        }
+        prev = {type, value};
+    });
+    return res;
+}
+
+// Whether file is an ES module: .mjs files are, .cjs files are not, and
+// otherwise the "type" of the nearest package.json decides, or if it has none,
+// whether text has static imports or exports
+function is_esm(file, text){
+    let ext = path.extname(file), type = package_type(file);
+    if (ext=='.mjs' || ext=='.cjs' || ext=='.json')
+        return ext=='.mjs';
+    if (type=='module' || type=='commonjs')
+        return type=='module';
+    return module_keywords(text).size>0;
+}
+
+// Returns the names declared by the declarations of a const, let or var
+// statement, starting at pos of text (destructuring patterns included)
+function declared_names(text, pos){
+    let names = [], depth = 0, quote, expect_name = true;
+    for (let i = pos; i<text.length; i++)
+    {
+        let c = text[i];
+        if (quote)
+        {
+            if (c=='\\')
+                i++;
+            else if (c==quote)
+                quote = undefined;
+            continue;
+        }
+        if (`'"\``.includes(c))
+            quote = c;
+        else if ('([{'.includes(c))
+        {
+            if (expect_name && c!='(') // a destructuring pattern
+            {
+                let end = matching_bracket(text, i);
+                names.push(...pattern_names(text.slice(i+1, end)));
+                i = end;
+                expect_name = false;
+            }
+            else
+                depth++;
+        }
+        else if (')]}'.includes(c))
+            depth--;
+        else if (depth==0 && c==',')
+            expect_name = true;
+        else if (depth==0 && (c==';' || c=='\n' && !expect_name))
+            break;
+        else if (expect_name && /[\w$]/.test(c))
+        {
+            let name = /^[\w$]+/.exec(text.slice(i))[0];
+            names.push(name);
+            i += name.length-1;
+            expect_name = false;
+        }
+    }
+    return names;
+}
+
+function matching_bracket(text, pos){
+    let depth = 0;
+    for (let i = pos; i<text.length; i++)
+    {
+        if ('([{'.includes(text[i]))
+            depth++;
+        else if (')]}'.includes(text[i]) && !--depth)
+            return i;
+    }
+    return text.length;
+}
+
+// the names bound by the inside of a destructuring pattern, e.g. a, c, d and
+// e for "a, b: c, d = 1, ...e"
+function pattern_names(pattern){
+    let names = [], depth = 0, start = 0;
+    let parts = [];
+    for (let i = 0; i<=pattern.length; i++)
+    {
+        let c = pattern[i];
+        if (c && '([{'.includes(c))
+            depth++;
+        else if (c && ')]}'.includes(c))
+            depth--;
+        else if (depth==0 && (c==',' || c===undefined))
+        {
+            parts.push(pattern.slice(start, i));
+            start = i+1;
+        }
+    }
+    for (let part of parts)
+    {
+        part = part.replace(/=[^]*$/, '').trim(); // default value
+        let m = /:\s*([^]*)$/.exec(part);
+        let target = (m ? m[1] : part).replace(/^\.\.\./, '').trim();
+        if (/^[[{]/.test(target))
+            names.push(...pattern_names(target.slice(1, -1)));
+        else if (/^[\w$]+$/.test(target))
+            names.push(target);
+    }
+    return names;
+}
+
+// the pairs [exported, local] of an export or import list like "a, b as c"
+function list_pairs(list){
+    return list.split(',').map(item=>item.trim()).filter(item=>item)
+        .map(item=>{
+            let [local, exported] = item.split(/\s+as\s+/);
+            return [exported||local, local];
+        });
+}
+
+// Converts an ES module to a CommonJS module evaluated by registry(), which
+// passes it __import__(spec), returning the namespace of a module. Imports
+// are hoisted, and exports become getters, so that they stay live, but
+// imported names are bound to the values exported at the time of the import.
+// Returns {header, text, specs} with the imported specifiers, where header
+// defines the exports and runs the imports, and goes on a line before text, so
+// that the lines and columns of text stay those of the module.
+function esm_to_cjs(text){
+    let imports = [], getters = [], specs = [], n = 0;
+    // replacement in place of s, padded with the spaces and line breaks of s,
+    // so that the rest of the text keeps its lines and columns
+    let fill = (s, replacement)=>{
+        let spaces = s.replace(/[^\n]/g, ' ');
+        if (replacement.length<=s.length-s.lastIndexOf('\n')-1)
+            return spaces.slice(0, s.length-replacement.length)+replacement;
+        return replacement+spaces.replace(/ /g, ''); // keep the lines only
+    };
+    let namespace = spec=>{
+        specs.push(spec);
+        let id = `__m${n++}__`;
+        imports.push(`const ${id} = __import__(${JSON.stringify(spec)});`);
+        return id;
+    };
+    let getter = (name, value)=>getters.push(
+        `Object.defineProperty(exports, ${JSON.stringify(name)},`
+        +` {enumerable: true, get: ()=>${value}});`);
+    // the first of these matching at a keyword replaces the statement with
+    // fn(...match, pos), filled in to its length (see fill())
+    let statements = [];
+    let statement = (re, fn)=>statements.push({re, fn});
+    statement(IMPORT_RE, (s, def, clause, quote, spec)=>{
+        let ns = namespace(spec);
+        if (def)
+            imports.push(`const ${def} = ${ns}.default;`);
+        if (clause && clause[0]=='*')
+            imports.push(`const ${clause.split(/\s+/).pop()} = ${ns};`);
+        else if (clause)
+        {
+            for (let [local, name] of list_pairs(clause.slice(1, -1)))
+            {
+                imports.push(
+                    `const ${local} = ${ns}[${JSON.stringify(name)}];`);
+            }
+        }
+        return '';
+    });
+    statement(EXPORT_FROM_RE, (s, star, as, list, quote, spec)=>{
+        let ns = namespace(spec);
+        if (list!==undefined)
+        {
+            for (let [name, local] of list_pairs(list))
+                getter(name, `${ns}[${JSON.stringify(local)}]`);
+        }
+        else if (as)
+            getter(as, ns);
+        else
+            imports.push(`__export_star__(exports, ${ns});`);
+        return '';
+    });
+    statement(EXPORT_LIST_RE, (s, list)=>{
+        for (let [name, local] of list_pairs(list))
+            getter(name, local);
+        return '';
+    });
+    statement(EXPORT_DECL_RE, (s, def, fn, name, kind, pos)=>{
+        if (kind)
+        {
+            for (let declared of declared_names(text, pos+s.length))
+                getter(declared, declared);
+            return kind;
+        }
+        if (!def)
+        {
+            getter(name, name);
+            return fn+name;
+        }
+        if (name)
+        {
+            getter('default', name);
+            return fn+name;
+        }
+        getter('default', '__def__');
+        return `const __def__=${fn}`;
+    });
+    statement(EXPORT_DEFAULT_RE, ()=>{
+        getter('default', '__def__');
+        return 'const __def__=';
+    });
+    let res = '', end = 0;
+    // the keywords come in the order of the text
+    for (let pos of module_keywords(text))
+    {
+        if (pos<end) // in a statement replaced already
+            continue;
+        for (let {re, fn} of statements)
+        {
+            re.lastIndex = pos;
+            let m = re.exec(text);
+            if (!m)
+                continue;
+            res += text.slice(end, pos)+fill(m[0], fn(...m, pos));
+            end = pos+m[0].length;
+            break;
+        }
+    }
+    text = res+text.slice(end);
+    let header = ['"use strict";'].concat(getters, imports).join(' ');
+    return {header, text, specs};
+}
+
+// Reads the modules of a script given as a file or a package directory: the
+// entry and (unless single) the modules reachable from it by relative static
+// imports and require() calls within its directory. Returns {entry, modules}
+// with modules mapping file names to {header, text, esm, json, deps}, where
+// text is a CommonJS module (or JSON) to run after header (see esm_to_cjs()),
+// and deps maps specifiers to file names.
+function collect(script, single){
+    let root = fs.realpathSync(is_directory(script) ? script
+        : path.dirname(script));
+    let entry = is_directory(script) ? directory_entry(script)
+        : path.resolve(script);
+    if (!entry)
+        throw new Error(`${script} has no package.json main or index.js`);
+    let modules = new Map(), pending = [entry];
+    while (pending.length)
+    {
+        let file = pending.shift();
+        if (modules.has(file))
+            continue;
+        let text = fs.readFileSync(file, 'utf8');
+        // strip BOM and/or shebang
+        text = text.slice(/^\ufeff?(#![^\r\n]*)?/.exec(text)[0].length);
+        let ext = path.extname(file), specs = [], esm = is_esm(file, text);
+        let header = '';
+        if (esm)
+            ({header, text, specs} = esm_to_cjs(text));
+        if (ext!='.json')
+        {
+            let m;
+            REQUIRE_RE.lastIndex = 0;
+            while (m = REQUIRE_RE.exec(text))
+                specs.push(m[2]);
+        }
+        let deps = {};
+        for (let spec of single ? [] : specs)
+        {
+            let dep = resolve(spec, file, root);
+            if (!dep)
+                continue; // may never be required, e.g. if in a comment
+            deps[spec] = dep;
+            pending.push(dep);
+        }
+        modules.set(file, {header, text, esm, json: ext=='.json', deps});
+    }
+    return {entry, modules};
+}
+
+// Runs inside the sandbox. Returns a registry where the host defines every
+// module with a function taking (exports, module, require, __import__,
+// __export_star__), and then runs the entry with the global module object.
+// Requiring or importing anything but a dependency of the module is a
+// violation reported with forbid(type, message), except for relative paths
+// not found (unless strict, when nothing can be imported).
+function registry(forbid, strict){
+    let defined = Object.create(null), cache = Object.create(null);
+    let missing = (spec, kind)=>{
+        if (strict || !/^\.\.?(\/|$)/.test(spec))
+            return forbid('require', `${kind} of '${spec}' is not allowed`);
+        throw new Error(`Cannot find module '${spec}'`);
+    };
+    let export_star = (exports, ns)=>{
+        for (let key of Object.keys(ns))
+        {
+            if (key!='default' && !(key in exports))
+            {
+                Object.defineProperty(exports, key,
+                    {enumerable: true, get: ()=>ns[key]});
+            }
+        }
+    };
+    let run = (file, module)=>{
+        if (cache[file])
+            return cache[file];
+        let {fn, deps, esm} = defined[file];
+        module = module||{exports: {}};
+        cache[file] = module;
+        let require = spec=>{
+            if (!(spec in deps))
+                return missing(spec, 'require');
+            return run(deps[spec]).exports;
+        };
+        let __import__ = spec=>{
+            if (!(spec in deps))
+                return missing(spec, 'import');
+            let dep = run(deps[spec]);
+            if (defined[deps[spec]].esm)
+                return dep.exports;
+            return Object.assign({default: dep.exports}, dep.exports);
+        };
+        if (esm)
+            Object.defineProperty(module.exports, '__esModule', {value: true});
+        fn.call(module.exports, module.exports, module, require, __import__,
+            export_star);
+        return module;
+    };
+    return Object.freeze({
+        define: (file, deps, esm, fn)=>{ defined[file] = {fn, deps, esm}; },
+        run,
+    });
+}
+
+module.exports = {collect, esm_to_cjs, registry};
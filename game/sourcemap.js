@@ -0,0 +1,126 @@
+'use strict'; /*jslint node:true*/
+const fs = require('fs');
+const path = require('path');
+
+// Source maps (version 3) of generated or minified AI scripts, for stack
+// traces pointing to the original sources: find() reads the map of a script
+// from a data URL or a file named by its sourceMappingURL comment, or from the
+// file next to it with .map appended to its name.
+
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz'
+    +'0123456789+/';
+const URL_RE = /^\/\/[#@][ \t]*sourceMappingURL=(\S+)[ \t]*$/;
+
+// Decodes a segment of the mappings: base64 VLQ numbers
+function decode_vlq(segment){
+    let res = [], value = 0, shift = 0;
+    for (let c of segment)
+    {
+        let digit = BASE64.indexOf(c);
+        if (digit<0)
+            throw new Error(`Invalid character in mappings: ${c}`);
+        value += (digit&31)<<shift;
+        if (digit&32)
+        {
+            shift += 5;
+            continue;
+        }
+        res.push(value&1 ? -(value>>>1) : value>>>1);
+        value = shift = 0;
+    }
+    return res;
+}
+
+class SourceMap {
+    // raw is the parsed JSON of the map, and file the path of the map (or of
+    // the script, for an inline one), which relative sources are resolved
+    // against
+    constructor(raw, file){
+        if (raw.version!=3 || typeof raw.mappings!='string')
+            throw new Error('Not a version 3 source map');
+        let root = raw.sourceRoot||'';
+        this.sources = (raw.sources||[]).map(source=>{
+            source = root && !/\/$/.test(root) ? `${root}/${source}`
+                : root+source;
+            if (/^[a-z][\w+.-]*:/i.test(source) || path.isAbsolute(source))
+                return source; // an URL, e.g. webpack:///src/bot.js
+            source = path.resolve(path.dirname(file), source);
+            let rel = path.relative('', source);
+            return rel.startsWith('..') ? source : rel;
+        });
+        this.names = raw.names||[];
+        this.mappings = raw.mappings;
+        this.lines = undefined; // decoded on the first lookup
+    }
+    decode(){
+        let source = 0, line = 0, column = 0, name = 0;
+        this.lines = this.mappings.split(';').map(text=>{
+            let generated = 0;
+            return text.split(',').filter(segment=>segment).map(segment=>{
+                let fields = decode_vlq(segment);
+                generated += fields[0];
+                if (fields.length<4) // not mapped to a source
+                    return {generated};
+                source += fields[1];
+                line += fields[2];
+                column += fields[3];
+                if (fields.length>4)
+                    name += fields[4];
+                return {generated, source, line, column,
+                    name: fields.length>4 ? name : undefined};
+            }).sort((a, b)=>a.generated-b.generated);
+        });
+    }
+    // Returns the original position {source, line, column, name} of a
+    // position in the generated file (all of them 0-based), or undefined
+    lookup(line, column){
+        if (!this.lines)
+            this.decode();
+        let segments = this.lines[line]||[], found;
+        for (let segment of segments)
+        {
+            if (segment.generated>column)
+                break;
+            found = segment;
+        }
+        if (!found || found.source===undefined
+            || !this.sources[found.source])
+        {
+            return;
+        }
+        return {source: this.sources[found.source], line: found.line,
+            column: found.column, name: this.names[found.name]};
+    }
+}
+
+// Returns the source map of the script in file with the given text, or
+// undefined if it has none or it cannot be read
+function find(text, file){
+    let pos = text.lastIndexOf('sourceMappingURL=');
+    let start = text.lastIndexOf('\n', pos)+1, end = text.indexOf('\n', pos);
+    let m = pos>=0 && URL_RE.exec(text.slice(start, end<0 ? undefined : end)
+        .trim());
+    let url = m ? m[1] : undefined, raw, map_file = `${file}.map`;
+    try {
+        if (url && /^data:/.test(url))
+        {
+            let [, header, data] = /^data:([^,]*),(.*)$/.exec(url);
+            raw = /;base64$/.test(header)
+                ? Buffer.from(data, 'base64').toString('utf8')
+                : decodeURIComponent(data);
+            map_file = file;
+        }
+        else
+        {
+            if (url)
+                map_file = path.resolve(path.dirname(file), url);
+            if (!fs.statSync(map_file).isFile())
+                return;
+            raw = fs.readFileSync(map_file, 'utf8');
+        }
+        return new SourceMap(JSON.parse(raw.replace(/^\)\]\}'[^\n]*\n/, '')),
+            map_file);
+    } catch(e){}
+}
+
+module.exports = {SourceMap, find};
@@ -0,0 +1,289 @@
+#!/usr/bin/env node
+'use strict'; /*jslint node:true*/
+const fs = require('fs');
+const path = require('path');
+
+const STATS = [
+    {key: 'score', title: 'Score', summary: 'Total'},
+    {key: 'diamonds_collected', title: 'Diamonds collected', summary: 'Total'},
+    {key: 'butterflies_killed', title: 'Butterflies killed', summary: 'Total'},
+    {key: 'streaks', title: 'Streaks', summary: 'Total'},
+    {key: 'longest_streak', title: 'Longest streak', summary: 'Best'},
+    {key: 'avg_ms', title: 'Average AI time per frame, ms', summary: 'Avg',
+        perf: true},
+    {key: 'max_ms', title: 'Maximum AI time per frame, ms', summary: 'Max',
+        perf: true},
+    {key: 'dropped', title: 'Dropped frames', summary: 'Total', perf: true},
+];
+
+const NORMAL_OUTCOMES = ['game-over', 'completed', 'quit'];
+
+function parse_seeds(list){
+    let res = [];
+    for (let item of list.split(','))
+    {
+        let m = /^\s*(\d+)\s*(?:-\s*(\d+)\s*)?$/.exec(item);
+        if (!m)
+            throw new Error(`Invalid seed or range: ${item}`);
+        let from = +m[1], to = m[2]===undefined ? from : +m[2];
+        if (to<from)
+            throw new Error(`Invalid seed range: ${item}`);
+        for (let seed = from; seed<=to; seed++)
+            res.push(seed);
+    }
+    return res;
+}
+
+// Reads DIR/ID/SEED.log files as written by tournament.js
+function scan(dir){
+    let res = [];
+    for (let id of fs.readdirSync(dir).sort())
+    {
+        let subdir = path.join(dir, id);
+        if (!fs.statSync(subdir).isDirectory())
+            continue;
+        for (let name of fs.readdirSync(subdir))
+        {
+            let m = /^(.*)\.log$/.exec(name);
+            if (!m)
+                continue;
+            let file = path.join(subdir, name);
+            let log;
+            try {
+                log = JSON.parse(fs.readFileSync(file, 'utf8'));
+            } catch(e){
+                log = {outcome: 'unreadable', error: [String(e.message||e)]};
+            }
+            let seed = /^\d+$/.test(m[1]) ? +m[1] : m[1];
+            res.push({id, seed, log, file});
+        }
+    }
+    return res;
+}
+
+function stat_value(log, key){
+    if (key in log)
+        return log[key];
+    if (log.ai_perf && key in log.ai_perf)
+        return log.ai_perf[key];
+}
+
+function summarize(stat, values){
+    if (!values.length)
+        return;
+    switch (stat.summary)
+    {
+    case 'Total': return values.reduce((a, b)=>a+b, 0);
+    case 'Best': case 'Max': return Math.max(...values);
+    case 'Avg':
+        return Math.round(values.reduce((a, b)=>a+b, 0)/values.length);
+    }
+}
+
+// results: [{id, seed, log, file}] as returned by scan()
+function aggregate(results, seeds){
+    if (!seeds)
+    {
+        seeds = Array.from(new Set(results.map(r=>r.seed)));
+        seeds.sort((a, b)=>typeof a==typeof b
+            ? (a<b ? -1 : a>b ? 1 : 0) : typeof a=='number' ? -1 : 1);
+    }
+    let participants = {}, flagged = [];
+    for (let {id, seed, log, file} of results)
+    {
+        if (!seeds.includes(seed))
+            continue;
+        let p = participants[id];
+        if (!p)
+            p = participants[id] = {id, games: 0, errors: 0, logs: {}};
+        p.games++;
+        p.logs[seed] = log;
+        if (log.error)
+            p.errors++;
+        if (log.error || !NORMAL_OUTCOMES.includes(log.outcome))
+        {
+            let error = log.error && (log.error.find(
+                line=>/^\w*Error\b/.test(line))||log.error[0]);
+            flagged.push({id, seed, file, outcome: log.outcome, error});
+        }
+    }
+    let tables = {};
+    for (let stat of STATS)
+    {
+        let rows = Object.keys(participants).map(id=>{
+            let p = participants[id], values = {}, present = [];
+            for (let seed of seeds)
+            {
+                let log = p.logs[seed];
+                if (!log)
+                    continue;
+                if (log.error)
+                {
+                    values[seed] = null;
+                    continue;
+                }
+                let value = stat_value(log, stat.key);
+                if (value===undefined)
+                    continue;
+                values[seed] = value;
+                present.push(value);
+            }
+            return {id, summary: summarize(stat, present), values};
+        });
+        let sign = stat.perf ? 1 : -1;
+        let key = row=>row.summary===undefined ? Infinity : sign*row.summary;
+        rows.sort((a, b)=>key(a)-key(b) || (a.id<b.id ? -1 : 1));
+        rows.forEach((row, i)=>{
+            row.rank = i && key(rows[i-1])==key(row) ? rows[i-1].rank : i+1;
+        });
+        tables[stat.key] = rows;
+    }
+    return {seeds, participants, tables, flagged};
+}
+
+function pad(s, len){
+    s = String(s);
+    return s.length<len ? ' '.repeat(len-s.length)+s : s;
+}
+
+function render_markdown(standings){
+    let {seeds, participants, tables, flagged} = standings;
+    let ids = Object.keys(participants);
+    let width = Math.max(2, ...ids.map(id=>id.length));
+    let lines = ['|  # |       Seed |', '|---:|-----------:|'];
+    seeds.forEach((seed, i)=>{
+        lines.push(`| ${pad(i+1, 2)} | ${pad(seed, 10)} |`);
+    });
+    for (let stat of STATS)
+    {
+        let rows = tables[stat.key];
+        if (!rows.some(row=>row.summary!==undefined))
+            continue;
+        let header = `|  # | ${'ID'.padEnd(width)} |`
+            +` ${pad(stat.summary, 5)} |`;
+        let separator = `|---:|${'-'.repeat(width+2)}|------:|`;
+        seeds.forEach((seed, i)=>{
+            header += ` ${pad(i+1, 5)} |`;
+            separator += '------:|';
+        });
+        lines.push('', `### ${stat.title}`, '', header, separator);
+        for (let row of rows)
+        {
+            let line = `| ${pad(row.rank, 2)} | ${row.id.padEnd(width)} |`
+                +` ${pad(row.summary===undefined ? '' : row.summary, 5)} |`;
+            for (let seed of seeds)
+            {
+                let value = row.values[seed];
+                if (value===null)
+                    value = '*C*';
+                line += ` ${pad(value===undefined ? '' : value, 5)} |`;
+            }
+            lines.push(line);
+        }
+        if (rows.some(row=>seeds.some(seed=>row.values[seed]===null)))
+            lines.push('', '*C*: The solution crashed.');
+    }
+    if (flagged.length)
+    {
+        lines.push('', '### Flagged logs', '');
+        for (let f of flagged)
+        {
+            lines.push(`* ${f.file||`${f.id}/${f.seed}`}: ${f.outcome}`
+                +(f.error ? ` (${f.error})` : ''));
+        }
+    }
+    return lines.join('\n');
+}
+
+function csv_quote(value){
+    if (value===undefined)
+        return '';
+    if (value===null)
+        return 'C';
+    value = String(value);
+    return /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+function render_csv(standings){
+    let {seeds, tables} = standings;
+    let lines = [['stat', 'rank', 'id', 'summary'].concat(seeds).join(',')];
+    for (let stat of STATS)
+    {
+        for (let row of tables[stat.key])
+        {
+            lines.push([stat.key, row.rank, row.id, row.summary]
+                .concat(seeds.map(seed=>row.values[seed]))
+                .map(csv_quote).join(','));
+        }
+    }
+    return lines.join('\n');
+}
+
+function render_json(standings){
+    let {seeds, participants, tables, flagged} = standings;
+    let res = {seeds, participants: [], flagged};
+    for (let id of Object.keys(participants))
+    {
+        let p = participants[id];
+        let entry = {id, games: p.games, errors: p.errors, stats: {}};
+        for (let stat of STATS)
+        {
+            let row = tables[stat.key].find(row=>row.id==id);
+            entry.stats[stat.key] = {rank: row.rank, summary: row.summary,
+                seeds: row.values};
+        }
+        res.participants.push(entry);
+    }
+    res.participants.sort((a, b)=>a.stats.score.rank-b.stats.score.rank);
+    return JSON.stringify(res, null, 4);
+}
+
+function render(standings, format){
+    switch (format||'md')
+    {
+    case 'md': case 'markdown': return render_markdown(standings);
+    case 'csv': return render_csv(standings);
+    case 'json': return render_json(standings);
+    }
+    throw new Error(`Unknown format: ${format}`);
+}
+
+module.exports = {STATS, parse_seeds, scan, aggregate, render};
+
+function main()
+{
+    const getopt = require('node-getopt').create([
+        ['s', 'seeds=LIST', 'only include these seeds, in this order'
+            +' (comma-separated list of seeds and/or ranges)'],
+        ['F', 'format=FORMAT', 'output format: md, csv or json (default: md)'],
+        ['h', 'help', 'show this text'],
+    ]).bindHelp(`Usage: node standings.js [OPTION...] DIR
+
+[[OPTIONS]]
+
+Build standings tables from the game logs in DIR, laid out as DIR/ID/SEED.log
+(the layout written by tournament.js). Logs with an error or with an outcome
+other than game-over, completed or quit are reported as flagged.`);
+    let {options, argv} = getopt.parseSystem();
+    if (argv.length!=1)
+        return getopt.showHelp();
+    let standings;
+    try {
+        let seeds = options.seeds ? parse_seeds(options.seeds) : undefined;
+        standings = aggregate(scan(argv[0]), seeds);
+        console.log(render(standings, options.format));
+    } catch(e){
+        console.error(e.message);
+        process.exit(1);
+    }
+    if (options.format!='csv')
+        return;
+    for (let f of standings.flagged) // not included in CSV output
+    {
+        console.error(`Flagged: ${f.file}: ${f.outcome}`
+            +(f.error ? ` (${f.error})` : ''));
+    }
+}
+
+if (require.main===module)
+    main();
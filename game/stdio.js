@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+'use strict'; /*jslint node:true*/
+const game = require('./game.js');
+const loader = require('./loader.js');
+
+// Plays a JS AI script over the line-oriented JSON protocol of
+// controller.StreamAI: reads {"screen": [...]} lines (with an optional
+// "signal" on level change in campaigns) from input and writes a
+// JSON-encoded command line to output for each of them (or an error).
+function serve(input, output, ai){
+    let buffer = '';
+    input.setEncoding('utf8');
+    input.on('data', data=>{
+        buffer += data;
+        let lines = buffer.split('\n');
+        buffer = lines.pop();
+        for (let line of lines)
+        {
+            if (!line.trim())
+                continue;
+            let reply;
+            try {
+                let msg = JSON.parse(line);
+                let res = ai(msg.screen, msg.signal);
+                // like InProcessAI, anything but a move or 'q' does nothing
+                if (res.done || res.value=='q')
+                    reply = 'q';
+                else
+                    reply = game.char2dir(res.value)===undefined ? ' '
+                        : res.value;
+            } catch(e){
+                reply = e instanceof loader.SandboxViolation
+                    ? {error: String(e), violation: e.violation}
+                    : {error: String(e.stack||e)};
+            }
+            output.write(JSON.stringify(reply)+'\n');
+        }
+    });
+}
+
+module.exports = {serve};
+
+function main()
+{
+    let args = process.argv.slice(2);
+    let unsafe = args[0]=='--unsafe';
+    if (unsafe)
+        args.shift();
+    if (args.length!=1)
+    {
+        console.error(`Usage: node stdio.js [--unsafe] SCRIPT.js
+
+Run a JS AI script (the same kind as for jsdash.js --ai) as an external process
+for jsdash.js --ai-command, for example to pass custom flags to Node.js:
+
+    node jsdash.js --ai-command="node --stack-size=4000 stdio.js SCRIPT.js"`);
+        process.exit(1);
+    }
+    if (unsafe) // keep stdout clean for the protocol
+        console.log = console.info = console.error;
+    let load = unsafe ? loader.load_unsafe : loader.load;
+    serve(process.stdin, process.stdout, load(args[0]));
+}
+
+if (require.main===module)
+    main();
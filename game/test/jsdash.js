@@ -0,0 +1,97 @@
+'use strict'; /*jslint node:true*/
+const assert = require('assert');
+const child_process = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Tests of games played by jsdash.js, checking their logs.
+
+// player A collects 3 diamonds in 3 moves, B stays where it is
+const CAVE = [
+    '#######',
+    '#A***:#',
+    '#:::::#',
+    '#B::::#',
+    '#######',
+];
+const LEADER = 'yield \'r\'; yield \'r\'; yield \'r\';';
+const IDLE = 'exports.play = function*(){ for (;;) yield \' \'; };';
+
+let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jsdash-test-'));
+let files = [];
+
+function write(name, text){
+    let file = path.join(dir, name);
+    fs.writeFileSync(file, text);
+    files.push(file);
+    return file;
+}
+
+// runs jsdash.js with the options, returning {status, stderr}
+function run(...args){
+    let res = child_process.spawnSync(process.execPath,
+        [path.join(__dirname, '..', 'jsdash.js'), '--force'].concat(args),
+        {encoding: 'utf8', stdio: ['ignore', 'ignore', 'pipe']});
+    return {status: res.status, stderr: res.stderr};
+}
+
+// plays a game with the options, returning its log
+function play(...args){
+    let log = path.join(dir, 'game.log');
+    if (!files.includes(log))
+        files.push(log);
+    let {status, stderr} = run('--quiet', '--still', '--max-speed',
+        '--frames=20', `--log=${log}`, ...args);
+    assert(status===0 || fs.existsSync(log), stderr);
+    return JSON.parse(fs.readFileSync(log, 'utf8'));
+}
+
+// a player whose controller fails (or who goes over a CPU time limit with
+// --over-budget=forfeit) forfeits, and cannot win even with the highest score
+function test_forfeited_leader(){
+    let cave = write('cave.txt', CAVE.join('\n'));
+    let leader = write('leader.js', `exports.play = function*(){ ${LEADER}`
+        +' throw new Error(\'crashed\'); };');
+    let idle = write('idle.js', IDLE);
+    let log = play(`--cave=${cave}`, `--player=ai:${leader}`,
+        `--player=ai:${idle}`);
+    assert(log.players[0].error, 'player 1 has not forfeited');
+    assert(log.players[0].score>log.players[1].score,
+        'player 1 is not the leader');
+    assert.strictEqual(log.winner, 2);
+    // forfeiting for going over the CPU time limit
+    let hog = write('hog.js', `exports.play = function*(){ ${LEADER}`
+        +' for (;;){ let t = Date.now(); while (Date.now()-t<200);'
+        +' yield \' \'; } };');
+    log = play(`--cave=${cave}`, `--player=ai:${hog}`, `--player=ai:${idle}`,
+        '--move-ms=50', '--over-budget=forfeit');
+    assert(log.players[0].error, 'player 1 has not forfeited');
+    assert.strictEqual(log.players[0].ai_perf.violations[0].type, 'move');
+    assert(log.players[0].score>log.players[1].score,
+        'player 1 is not the leader');
+    assert.strictEqual(log.winner, 2);
+}
+
+// numeric options are checked rather than replaced with their defaults
+function test_magic_wall_option(){
+    for (let value of ['0', '-1', '1.5', 'abc', ''])
+    {
+        let {status, stderr} = run(`--magic-wall=${value}`);
+        assert.strictEqual(status, 1, value);
+        assert.strictEqual(stderr.trim(),
+            '--magic-wall must be a positive integer', value);
+    }
+}
+
+try {
+    for (let test of [test_forfeited_leader, test_magic_wall_option])
+    {
+        test();
+        console.log(`ok ${test.name}`);
+    }
+} finally {
+    for (let file of files)
+        fs.unlinkSync(file);
+    fs.rmdirSync(dir);
+}
@@ -0,0 +1,188 @@
+'use strict'; /*jslint node:true*/
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const loader = require('../loader.js');
+
+// Tests of the sandbox of loader.load(): scripts get to nothing of the host,
+// and breaking the rules is reported as a violation of the right type.
+
+const SCREEN = ['#####', '#A :#', '#####'];
+
+let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jsdash-test-'));
+let files = [];
+
+// writes a script (or another file of a script) into the temporary directory
+function script(text, name = `bot${files.length}.js`){
+    let file = path.join(dir, name);
+    fs.writeFileSync(file, text);
+    files.push(file);
+    return file;
+}
+
+// the violation thrown by loading a script and making moves
+function violation(text, moves = 1){
+    try {
+        let ai = loader.load(script(text));
+        for (let i = 0; i<moves; i++)
+            ai(SCREEN);
+    } catch(e){
+        assert(e instanceof loader.SandboxViolation, String(e.stack||e));
+        return e.violation;
+    }
+    assert.fail('no violation');
+}
+
+// require() and process, whether at load time or in play(), and even if the
+// error is caught
+function test_require_process(){
+    const cases = [
+        ['require(\'fs\');', 'require'],
+        ['try { require(\'child_process\'); } catch(e){}', 'require'],
+        ['process.exit(7);', 'process'],
+        ['try { process.env.HOME; } catch(e){}', 'process'],
+    ];
+    for (let [code, type] of cases)
+    {
+        assert.strictEqual(violation(`${code}
+            exports.play = function*(){ yield 'u'; };`).type, type, code);
+        assert.strictEqual(violation(`exports.play = function*(){
+            yield 'u'; ${code} yield 'u'; };`, 2).type, type, code);
+    }
+    // bundles may check what they run in
+    let ai = loader.load(script(`exports.play = function*(){
+        yield [typeof require, typeof process, typeof module].join(); };`));
+    assert.strictEqual(ai(SCREEN).value, 'function,object,object');
+}
+
+// the ways from objects of the script to the Function constructor, and from
+// there to process, all end in the sandbox, where compiling code is an eval
+// violation
+function test_constructor_escape(){
+    const escapes = [
+        'this.constructor.constructor(\'return process\')()',
+        '(function(){}).constructor(\'return process\')()',
+        '({}).constructor.constructor(\'return process\')()',
+        'Object.getPrototypeOf(function*(){}).constructor(\'\')',
+        'Object.getPrototypeOf(async function(){}).constructor(\'\')',
+        'Buffer.constructor(\'return process\')()',
+        'Buffer.from(\'x\').constructor.constructor(\'return process\')()',
+        'console.log.constructor(\'return process\')()',
+        'eval(\'process\')',
+        'new Function(\'return process\')()',
+        'setTimeout.constructor(\'return process\')()',
+    ];
+    for (let code of escapes)
+    {
+        // setTimeout is not defined in the sandbox: that error is fine, as
+        // long as nothing of the host is reached
+        let text = `let res; try { res = ${code}; } catch(e){ res = e; }
+            exports.play = function*(){ yield typeof res=='object' && res
+                && typeof res.exit=='function' ? 'q' : 'u'; };`;
+        try {
+            let move = loader.load(script(text))(SCREEN).value;
+            assert.strictEqual(move, 'u', code);
+        } catch(e){
+            assert(e instanceof loader.SandboxViolation, code);
+            assert.strictEqual(e.violation.type, 'eval', code);
+        }
+    }
+    // stack traces do not hand out the frames of the host
+    let ai = loader.load(script(`let found;
+        try { Error.prepareStackTrace = (e, frames)=>{
+            found = frames.some(f=>f.getThis() && f.getThis().process); };
+        } catch(e){}
+        new Error().stack;
+        exports.play = function*(){ yield found ? 'q' : 'u'; };`));
+    assert.strictEqual(ai(SCREEN).value, 'u');
+}
+
+function test_import_call(){
+    const escapes = [
+        `import('fs').catch(e=>e.constructor.constructor('return process')()
+            .exit(7));`,
+        'import/**/("fs");',
+        'import\n("fs");',
+        // a tokenizer taking the regular expression for a division would see
+        // the import() in a string
+        `if (1) /'/; import('fs'); //'`,
+    ];
+    for (let code of escapes)
+    {
+        let res = violation(
+            `${code}\nexports.play = function*(){ yield 'u'; };`);
+        assert.deepStrictEqual(res, {type: 'require',
+            message: 'import() is not allowed'}, code);
+    }
+    // not import()
+    let ai = loader.load(script(`let o = {import: x=>x}; o.import('u');
+        exports.play = function*(){ yield o.import('u'); };`));
+    assert.strictEqual(ai(SCREEN).value, 'u');
+}
+
+// the loader keeps its state out of the reach of the script, which could
+// otherwise resolve its modules in its own way or turn off the guard (typeof
+// finds both properties of the global object and top-level declarations)
+function test_internals(){
+    for (let name of ['__hola_guard__', '__hola_modules__', '__hola_clock__',
+        '__hola_xyzzy__'])
+    {
+        let ai = loader.load(script(`exports.play = function*(){
+            yield typeof ${name}=='undefined' ? 'u' : 'q'; };`));
+        assert.strictEqual(ai(SCREEN).value, 'u', name);
+    }
+}
+
+// with the rules of the contest, play() must be a generator function, which
+// the script cannot fake
+function test_strict_generator(){
+    const generators = [
+        'exports.play = function*(){ yield \'u\'; };',
+        'exports.play = function* play(){ yield \'u\'; };',
+        'module.exports = {*play(){ yield \'u\'; }};',
+        `let ai = {move: 'u', *play(){ yield this.move; }};
+        exports.play = ai.play.bind(ai).bind(null);`,
+    ];
+    for (let code of generators)
+    {
+        let ai = loader.load(script(code), {strict: true});
+        assert.strictEqual(ai(SCREEN).value, 'u', code);
+    }
+    const others = [
+        // returns an iterator, but is no generator
+        `exports.play = function(){ return ['u'][Symbol.iterator](); };`,
+        `exports.play = async function*(){ yield 'u'; };`,
+        `exports.play = function(){ return ['u'][Symbol.iterator](); };
+        Object.prototype.toString = ()=>'[object GeneratorFunction]';`,
+        `exports.play = function(){ return ['u'][Symbol.iterator](); };
+        exports.play[Symbol.toStringTag] = 'GeneratorFunction';`,
+        `exports.play = function(){ return ['u'][Symbol.iterator](); };
+        Object.setPrototypeOf(exports.play,
+            Object.getPrototypeOf(function*(){}));`,
+        'exports.play = new Proxy(function*(){ yield \'u\'; }, {});',
+        `exports.play = function(){ return ['u'][Symbol.iterator](); }
+            .bind(null);
+        Object.setPrototypeOf(exports.play,
+            Object.getPrototypeOf(function*(){}));`,
+    ];
+    for (let code of others)
+    {
+        assert.throws(()=>loader.load(script(code), {strict: true}),
+            e=>e instanceof loader.SandboxViolation
+            && e.violation.type=='submission', code);
+    }
+}
+
+try {
+    for (let test of [test_require_process, test_constructor_escape,
+        test_import_call, test_internals, test_strict_generator])
+    {
+        test();
+        console.log(`ok ${test.name}`);
+    }
+} finally {
+    for (let file of files)
+        fs.unlinkSync(file);
+    fs.rmdirSync(dir);
+}
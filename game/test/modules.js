@@ -0,0 +1,136 @@
+'use strict'; /*jslint node:true*/
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const loader = require('../loader.js');
+
+// Tests of ES modules converted to CommonJS by modules.esm_to_cjs(), run in
+// the sandbox: every script yields what it imported for comparison.
+
+const SCREEN = ['#####', '#A :#', '#####'];
+
+let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jsdash-test-'));
+let files = [];
+
+// writes the files of a script into a new directory, returning the file name
+// of the first one
+function script(sources){
+    let sub = path.join(dir, String(files.length));
+    fs.mkdirSync(sub);
+    files.push(sub);
+    for (let name of Object.keys(sources))
+    {
+        fs.writeFileSync(path.join(sub, name), sources[name]);
+        files.push(path.join(sub, name));
+    }
+    return path.join(sub, Object.keys(sources)[0]);
+}
+
+// the first value yielded by a script
+function first(sources){
+    return loader.load(script(sources))(SCREEN).value;
+}
+
+// imports and exports later on a line, as in minified bundles
+function test_same_line(){
+    assert.deepStrictEqual(first({
+        'main.mjs': 'import a, {y} from \'./a.mjs\'; export function* play(){'
+            +' yield [a, y]; }',
+        'a.mjs': 'export default 1; export let y = 2;',
+    }), [1, 2]);
+    assert.deepStrictEqual(first({
+        'main.mjs': 'import{q,play as p}from"./b.mjs";import*as b from'
+            +'"./b.mjs";export function*play(){yield[q,b.q,p().next().value]}',
+        'b.mjs': 'const q=1;export{q};export function*play(){yield"u"}',
+    }), [1, 1, 'u']);
+}
+
+// export * from, export * as, and export {...} from, with renaming
+function test_reexports(){
+    assert.deepStrictEqual(first({
+        'main.mjs': `import {a, b, renamed, ns, default as d} from './all.mjs';
+            import * as all from './all.mjs';
+            export function* play(){
+                yield [a, b, renamed, ns.a, d, Object.keys(all).sort()]; }`,
+        'all.mjs': `export * from './a.mjs';
+            export * as ns from './a.mjs';
+            export {b, c as renamed} from './b.mjs';
+            export default 'd';`,
+        'a.mjs': 'export const a = 1; export default \'not re-exported\';',
+        'b.mjs': 'export const b = 2, c = 3;',
+    }), [1, 2, 3, 1, 'd', ['a', 'b', 'default', 'ns', 'renamed']]);
+}
+
+// modules importing each other: function declarations are hoisted, so they
+// can be imported before their module has run, and namespaces stay live
+function test_cycles(){
+    assert.deepStrictEqual(first({
+        'main.mjs': `import {even} from './even.mjs';
+            import * as odd from './odd.mjs';
+            export function* play(){ yield [even(4), even(3), odd.calls]; }`,
+        'even.mjs': `import {odd} from './odd.mjs';
+            export function even(n){ return n==0 || odd(n-1); }`,
+        'odd.mjs': `import {even} from './even.mjs';
+            export let calls = 0;
+            export function odd(n){ calls++; return n!=0 && even(n-1); }`,
+    }), [true, false, 4]);
+    // CommonJS modules in a cycle get the exports done so far
+    assert.deepStrictEqual(first({
+        'main.js': `const a = require('./a.js');
+            exports.play = function*(){ yield [a.done, a.seen]; };`,
+        'a.js': `exports.done = false;
+            exports.seen = require('./b.js').seen;
+            exports.done = true;`,
+        'b.js': 'exports.seen = require(\'./a.js\').done;',
+    }), [true, false]);
+}
+
+// ES modules and CommonJS modules importing each other, and JSON
+function test_interop(){
+    assert.deepStrictEqual(first({
+        'main.mjs': `import cjs, {named} from './cjs.js';
+            import data from './data.json';
+            const esm = require('./esm.mjs');
+            export function* play(){
+                yield [cjs.named, named, data.x, esm.default, esm.y,
+                    esm.__esModule]; }`,
+        'cjs.js': 'module.exports = {named: \'n\'};',
+        'data.json': '{"x": [1, 2]}',
+        'esm.mjs': 'export default \'d\'; export const y = 2;',
+    }), ['n', 'n', [1, 2], 'd', 2, true]);
+    // the "type" of package.json decides for .js files
+    assert.deepStrictEqual(first({
+        'main.js': `import {x} from './lib.js';
+            export function* play(){ yield x; }`,
+        'lib.js': 'export const x = \'esm\';',
+        'package.json': '{"type": "module"}',
+    }), 'esm');
+}
+
+// the statements of a module are converted in place, so that stack traces
+// give the lines and columns of the module
+function test_columns(){
+    let file = script({
+        'main.mjs': 'import a, {y} from \'./a.mjs\'; export default'
+            +' function(){}\nexport let z = 2; export function* play(){'
+            +' yield a; null.x; }',
+        'a.mjs': 'export default 1; export let y = 2;',
+    });
+    let ai = loader.load(file);
+    ai(SCREEN);
+    assert.throws(()=>ai(SCREEN), e=>e.stack.includes(`(${file}:2:58)`));
+}
+
+try {
+    for (let test of [test_same_line, test_reexports, test_cycles,
+        test_interop, test_columns])
+    {
+        test();
+        console.log(`ok ${test.name}`);
+    }
+} finally {
+    for (let file of files.reverse())
+        (fs.statSync(file).isDirectory() ? fs.rmdirSync : fs.unlinkSync)(file);
+    fs.rmdirSync(dir);
+}
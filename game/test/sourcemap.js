@@ -0,0 +1,180 @@
+'use strict'; /*jslint node:true*/
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const loader = require('../loader.js');
+const sourcemap = require('../sourcemap.js');
+
+// Tests of source maps and of the stack traces of scripts failing in the
+// sandbox, which point to the original sources. The tests run in the
+// temporary directory, so that the sources have names relative to it.
+
+const SCREEN = ['#####', '#A :#', '#####'];
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz'
+    +'0123456789+/';
+// play() fails on its second move in f(), called last on the line
+const BOT = 'function f(a){return a.x}exports.play=function*(){yield"u";'
+    +'f(null)};';
+const ESM_BOT = 'function f(a){return a.x}export function*play(){yield"u";'
+    +'f(null)}';
+
+let cwd = process.cwd();
+let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jsdash-test-'));
+let files = [];
+
+function write(name, text){
+    let file = path.join(dir, name);
+    if (!fs.existsSync(path.dirname(file)))
+    {
+        fs.mkdirSync(path.dirname(file));
+        files.push(path.dirname(file));
+    }
+    fs.writeFileSync(file, text);
+    files.push(file);
+    return file;
+}
+
+// a segment of the mappings from its numbers
+function segment(...numbers){
+    return numbers.map(n=>{
+        let value = n<0 ? -n<<1|1 : n<<1, res = '';
+        do {
+            let digit = value&31;
+            value >>>= 5;
+            res += BASE64[digit|(value ? 32 : 0)];
+        } while (value);
+        return res;
+    }).join('');
+}
+
+// the map of BOT (or ESM_BOT) to src/bot.ts, where a.x is at 5:12 and the
+// call of f() at 10:5
+function bot_map(code){
+    let access = code.indexOf('a.x'), call = code.lastIndexOf('f(');
+    return {version: 3, sources: ['src/bot.ts'], names: [],
+        mappings: [segment(0, 0, 0, 0), segment(access, 0, 4, 11),
+            segment(call-access, 0, 5, -7)].join(',')};
+}
+
+function data_url(map){
+    return 'data:application/json;charset=utf-8;base64,'
+        +Buffer.from(JSON.stringify(map)).toString('base64');
+}
+
+// the error thrown by the moves of a script
+function error(file){
+    let ai = loader.load(file);
+    try {
+        for (let i = 0; i<2; i++)
+            ai(SCREEN);
+    } catch(e){ return e; }
+    assert.fail('no error');
+}
+
+function test_lookup(){
+    // line 0: a.ts 0:0 from column 0 and b.ts 2:3 (foo) from column 5; line
+    // 1: not mapped from column 2, a.ts 1:7 from column 6
+    let map = new sourcemap.SourceMap({version: 3, sourceRoot: 'src',
+        sources: ['a.ts', 'b.ts'], names: ['foo'],
+        mappings: `${segment(0, 0, 0, 0)},${segment(5, 1, 2, 3, 0)};`
+            +`${segment(2)},${segment(4, -1, -1, 4)}`},
+        path.join(dir, 'bot.js.map'));
+    let a = path.join('src', 'a.ts'), b = path.join('src', 'b.ts');
+    const cases = [
+        [0, 0, {source: a, line: 0, column: 0, name: undefined}],
+        [0, 4, {source: a, line: 0, column: 0, name: undefined}],
+        [0, 5, {source: b, line: 2, column: 3, name: 'foo'}],
+        [0, 100, {source: b, line: 2, column: 3, name: 'foo'}],
+        [1, 0, undefined],
+        [1, 5, undefined],
+        [1, 6, {source: a, line: 1, column: 7, name: undefined}],
+        [2, 0, undefined],
+    ];
+    for (let [line, column, pos] of cases)
+    {
+        assert.deepStrictEqual(map.lookup(line, column), pos,
+            `${line}:${column}`);
+    }
+    // URLs and absolute paths are kept as they are
+    map = new sourcemap.SourceMap({version: 3, mappings: 'AAAA,CCAA',
+        sources: ['webpack:///src/bot.js', '/src/lib.js']}, 'bot.js.map');
+    assert.strictEqual(map.lookup(0, 0).source, 'webpack:///src/bot.js');
+    assert.strictEqual(map.lookup(0, 1).source, '/src/lib.js');
+    assert.throws(()=>new sourcemap.SourceMap({version: 2, mappings: ''}, ''),
+        /version 3/);
+}
+
+// inline maps, maps named by the comment and maps next to the script
+function test_find(){
+    let map = bot_map(BOT), source = (text, file)=>{
+        let found = sourcemap.find(text, path.join(dir, file));
+        return found && found.lookup(0, BOT.indexOf('a.x')).source;
+    };
+    let bot_ts = path.join('src', 'bot.ts');
+    assert.strictEqual(source(`${BOT}\n//# sourceMappingURL=${data_url(map)}`,
+        'bot.js'), bot_ts);
+    assert.strictEqual(source(`${BOT}\n//@ sourceMappingURL=data:application`
+        +`/json,${encodeURIComponent(JSON.stringify(map))}\n`, 'bot.js'),
+        bot_ts);
+    // the sources are relative to the map
+    write('maps/bot.map', JSON.stringify(Object.assign({}, map,
+        {sources: ['../src/bot.ts']})));
+    assert.strictEqual(source(`${BOT}\n//# sourceMappingURL=maps/bot.map`,
+        'bot.js'), bot_ts);
+    write('adjacent.js.map', `)]}'\n${JSON.stringify(map)}`);
+    assert.strictEqual(source(BOT, 'adjacent.js'), bot_ts);
+    // missing or invalid maps are no maps
+    write('invalid.js.map', '{"version": 3, "mappings": ');
+    assert.strictEqual(source(BOT, 'missing.js'), undefined);
+    assert.strictEqual(source(`${BOT}\n//# sourceMappingURL=missing.map`,
+        'bot.js'), undefined);
+    assert.strictEqual(source(BOT, 'invalid.js'), undefined);
+    assert.strictEqual(source(`${BOT}\n//# sourceMappingURL=data:`
+        +'application/json;base64,e30=', 'bot.js'), undefined);
+}
+
+// the stack traces of minified scripts, as CommonJS and ES modules, point to
+// the original sources, leaving out the frames of the loader
+function test_stack(){
+    for (let [name, code] of [['min.js', BOT], ['min.mjs', ESM_BOT]])
+    {
+        let file = write(name,
+            `${code}\n//# sourceMappingURL=${data_url(bot_map(code))}\n`);
+        let e = error(file), lines = e.stack.split('\n');
+        assert.deepStrictEqual(lines.slice(0, 2), ['src/bot.ts:5:12', ''],
+            e.stack);
+        assert(/^TypeError: /.test(lines[2]), e.stack);
+        assert(/^\s+at f \(src\/bot\.ts:5:12\)$/.test(lines[3]), e.stack);
+        assert(/^\s+at .*play \(src\/bot\.ts:10:5\)$/.test(lines[4]),
+            e.stack);
+        assert(!/loader\.js|modules\.js|evalmachine/.test(e.stack), e.stack);
+        assert.strictEqual(e.message, lines[2]);
+    }
+    // without a map, the source line is shown unless it is long
+    let file = write('short.js', BOT);
+    let column = BOT.indexOf('a.x')+3;
+    assert.deepStrictEqual(error(file).stack.split('\n').slice(0, 4),
+        [`${file}:1`, BOT, `${' '.repeat(column-1)}^`, '']);
+    let padding = `/*${'-'.repeat(160)}*/`;
+    file = write('long.js', padding+BOT);
+    let lines = error(file).stack.split('\n');
+    assert.deepStrictEqual(lines.slice(0, 2),
+        [`${file}:1:${padding.length+column}`, ''], lines.join('\n'));
+    assert(/^TypeError: /.test(lines[2]));
+    assert(lines[3].endsWith(`(${file}:1:${padding.length+column})`));
+}
+
+process.chdir(dir);
+try {
+    for (let test of [test_lookup, test_find, test_stack])
+    {
+        test();
+        console.log(`ok ${test.name}`);
+    }
+} finally {
+    process.chdir(cwd);
+    for (let file of files.reverse())
+        (fs.statSync(file).isDirectory() ? fs.rmdirSync : fs.unlinkSync)(file);
+    fs.rmdirSync(dir);
+}
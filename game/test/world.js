@@ -0,0 +1,147 @@
+'use strict'; /*jslint node:true*/
+const assert = require('assert');
+const game = require('../game.js');
+
+// Tests of World.clone() and World.snapshot() with restore(): the copies of a
+// world made at every frame of a game evolve exactly like the world itself,
+// with every type of object in the cave (a boulder activates the magic wall).
+
+const CAVE = [
+    '####################',
+    '#A::*O: : +O+ O:  E#',
+    '#:O:*:: O:+ + :O*:B#',
+    '#::::   :/+=+::O:::#',
+    '#*O:%   O:+ +::@ ::#',
+    '#:::O:::: +:+:::O::#',
+    '####################',
+];
+const FRAMES = 150;
+
+// JSON with sorted keys, so that the order in which the properties of an
+// object were added does not matter
+function canonical(value){
+    return JSON.stringify(value, (key, v)=>{
+        if (!v || typeof v!='object' || Array.isArray(v))
+            return v;
+        let res = {};
+        for (let k of Object.keys(v).sort())
+            res[k] = v[k];
+        return res;
+    });
+}
+
+// the complete state of a world, and what every player sees
+function describe(world){
+    return canonical(world.snapshot())+'\n'+world.players.map(player=>
+        world.render(false, true, player).join('\n')).join('\n');
+}
+
+function restored(world){
+    let res = new game.World(world.width, world.height, {});
+    res.restore(JSON.parse(JSON.stringify(world.snapshot())));
+    return res;
+}
+
+// pseudo-random commands for every player (xorshift32)
+function commands(seed){
+    let x = seed;
+    return players=>players.map(()=>{
+        x ^= x<<13;
+        x ^= x>>>17;
+        x ^= x<<5;
+        x >>>= 0;
+        return 'udlr  '[x%6];
+    });
+}
+
+function step(sim, frame_commands){
+    sim.step(Array.isArray(sim.commands) ? frame_commands
+        : frame_commands[0]);
+}
+
+// plays a game, returning the commands and the states of every frame, the
+// types of objects and the states of magic walls seen, and the copies made (by
+// make) at every frame
+function play(sim, make){
+    let next = commands(0x1234567), moves = [], states = [];
+    let types = new Set(), magic_wall_states = new Set(), copies = [];
+    for (;;)
+    {
+        states.push(describe(sim.world));
+        magic_wall_states.add(sim.world.magic_wall_state);
+        for (let [point, thing] of sim.world)
+        {
+            if (thing)
+                types.add(thing.constructor.name);
+        }
+        copies.push(make(sim.world));
+        if (sim.is_final())
+            break;
+        moves.push(next(sim.world.players));
+        step(sim, moves[moves.length-1]);
+    }
+    return {moves, states, types, magic_wall_states, copies};
+}
+
+// plays the moves of a game from frame on a copy of its world, checking that
+// every state is the same as in the game
+function replay(game_run, frame, world, name){
+    let sim = new game.Simulation(world);
+    assert.strictEqual(describe(world), game_run.states[frame],
+        `${name} of frame ${frame}`);
+    for (let i = frame; i<game_run.moves.length; i++)
+    {
+        step(sim, game_run.moves[i]);
+        assert.strictEqual(describe(world), game_run.states[i+1],
+            `${name} of frame ${frame} at frame ${i+1}`);
+    }
+    assert(sim.is_final(), `${name} of frame ${frame} is not final`);
+}
+
+function test_copies(){
+    let sim = game.Simulation.from_ascii(CAVE, {frames: FRAMES});
+    let run = play(sim, world=>({clone: world.clone(),
+        restored: restored(world)}));
+    for (let type of Object.keys(game.THING_TYPES).concat('Player'))
+        assert(run.types.has(type), `no ${type} in the game`);
+    assert(run.magic_wall_states.has('active'), 'no active magic wall');
+    run.copies.forEach(({clone, restored}, frame)=>{
+        replay(run, frame, clone, 'clone');
+        replay(run, frame, restored, 'restored snapshot');
+    });
+}
+
+// restoring a snapshot with fewer players into a world drops the others
+function test_restore_fewer_players(){
+    let single = CAVE.map(row=>row.replace('B', ':'));
+    let sim = game.Simulation.from_ascii(single, {frames: FRAMES});
+    let run = play(sim, world=>world.snapshot());
+    run.copies.forEach((snapshot, frame)=>{
+        let world = game.Simulation.from_ascii(CAVE, {frames: FRAMES}).world;
+        world.restore(JSON.parse(JSON.stringify(snapshot)));
+        assert.strictEqual(world.players.length, 1);
+        assert.strictEqual(world.player, world.players[0]);
+        replay(run, frame, world, 'snapshot restored into a 2-player world');
+    });
+}
+
+// the exit opens after collecting the quota in classic mode, and never
+// otherwise
+function test_exit(){
+    const cave = ['#####', '#A*E#', '#####'];
+    for (let quota of [undefined, 0, 1, 2])
+    {
+        let sim = game.Simulation.from_ascii(cave, {frames: 10, quota});
+        sim.step('r');
+        sim.step('r');
+        let open = quota!==undefined && quota<=1;
+        assert.strictEqual(sim.world.player.completed, open,
+            `completed with quota ${quota}`);
+    }
+}
+
+for (let test of [test_copies, test_restore_fewer_players, test_exit])
+{
+    test();
+    console.log(`ok ${test.name}`);
+}
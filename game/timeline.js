@@ -0,0 +1,79 @@
+'use strict'; /*jslint node:true*/
+const game = require('./game.js');
+const generate = require('./generate.js');
+
+const KEYFRAME_INTERVAL = 50;
+
+// Random access to the frames of a logged game. The whole game is simulated
+// once in advance, keeping a snapshot of every KEYFRAME_INTERVAL-th frame, so
+// that any frame can be restored quickly by re-simulation from the nearest
+// snapshot before it. In games with several players, events have the index
+// of the player in their player field.
+class Timeline {
+    constructor(log){
+        this.log = Object.assign({}, log); // the caller may modify log
+        this.keyframes = [];
+        this.events = [];
+        this.multi = Array.isArray(log.commands);
+        let length = this.multi
+            ? Math.max(...log.commands.map(c=>c.length)) : log.commands.length;
+        let sim = new game.Simulation(generate.from_log(log));
+        let players = sim.world.players.map((p, i)=>i);
+        while (true)
+        {
+            let frame = sim.frame();
+            if (frame%KEYFRAME_INTERVAL==0)
+                this.keyframes.push(sim.world.snapshot());
+            let c = this.command(frame);
+            if (sim.is_final() || c=='q' || frame>=length
+                && log.outcome!='game-over')
+            {
+                break;
+            }
+            let stats = players.map(i=>sim.stats(i));
+            let alive = players.map(i=>sim.is_alive(i));
+            sim.step(c);
+            for (let i of players)
+            {
+                let now = sim.stats(i);
+                let event = type=>this.events.push(Object.assign(
+                    {frame: frame+1, type}, this.multi && {player: i}));
+                if (now.diamonds_collected>stats[i].diamonds_collected)
+                    event('diamond');
+                if (now.butterflies_killed>stats[i].butterflies_killed)
+                    event('butterfly');
+                if (now.fireflies_killed>stats[i].fireflies_killed)
+                    event('firefly');
+                if (alive[i] && !sim.is_alive(i))
+                    event('death');
+                if (now.completed && !stats[i].completed)
+                    event('completed');
+            }
+        }
+        this.frames = sim.frame(); // number of the last frame
+    }
+    // the command logged for the transition from frame to frame+1 (an array
+    // of commands in games with several players)
+    command(frame){
+        if (this.multi)
+            return this.log.commands.map(commands=>commands[frame]||' ');
+        let c = this.log.commands[frame];
+        return c===undefined ? ' ' : c;
+    }
+    // returns a Simulation in the state of the given frame
+    simulation_at(frame){
+        frame = Math.max(0, Math.min(frame, this.frames));
+        let key = Math.floor(frame/KEYFRAME_INTERVAL);
+        let sim = new game.Simulation(generate.from_log(this.log));
+        sim.world.restore(this.keyframes[key]);
+        let slice = commands=>commands.slice(0, key*KEYFRAME_INTERVAL);
+        sim.commands = this.multi ? this.log.commands.map(slice)
+            : slice(this.log.commands);
+        while (sim.frame()<frame)
+            sim.step(this.command(sim.frame()));
+        return sim;
+    }
+    next_event(frame){ return this.events.find(e=>e.frame>frame); }
+}
+
+module.exports = {Timeline};
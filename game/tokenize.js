@@ -0,0 +1,144 @@
+'use strict'; /*jslint node:true*/
+
+const PUNCTUATORS = ['>>>=', '...', '===', '!==', '**=', '<<=', '>>=', '>>>',
+    '&&=', '||=', '??=', '=>', '==', '!=', '<=', '>=', '&&', '||', '??', '?.',
+    '++', '--', '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=', '<<', '>>',
+    '**'];
+// a slash after these starts a regular expression rather than a division
+const BEFORE_REGEXP = ['return', 'typeof', 'instanceof', 'in', 'of', 'new',
+    'delete', 'void', 'throw', 'case', 'do', 'else', 'yield', 'await'];
+
+// Splits JavaScript source into tokens, calling ontoken(type, value, line,
+// pos) for each of them, where type is 'name', 'number', 'string', 'template',
+// 'regexp' or 'punctuator', and pos is the offset in text. Comments are
+// skipped. Only as exact as validate.js and modules.js need it to be: whether
+// a slash starts a regular expression is decided by the previous token.
+function tokenize(text, ontoken){
+    let pos = 0, line = 1, prev;
+    let templates = []; // brace depths of the ${} of enclosing templates
+    let depth = 0;
+    let emit = (type, value, start_line, start)=>{
+        prev = {type, value};
+        ontoken(type, value, start_line, start);
+    };
+    let skip_to = end=>{
+        for (let i = pos; i<end; i++)
+        {
+            if (text[i]=='\n')
+                line++;
+        }
+        pos = end;
+    };
+    let line_end = from=>{
+        let end = text.indexOf('\n', from);
+        return end<0 ? text.length : end;
+    };
+    let find = (re, from)=>{
+        re.lastIndex = from;
+        let m = re.exec(text);
+        return m ? m.index+m[0].length : text.length;
+    };
+    // scans a part of a template from start (` or the } ending a ${}) up to
+    // the next ${ or the closing `
+    let template = start=>{
+        let start_line = line, i = start+1;
+        for (; i<text.length; i++)
+        {
+            if (text[i]=='\\')
+                i++;
+            else if (text[i]=='`')
+                break;
+            else if (text[i]=='$' && text[i+1]=='{')
+            {
+                templates.push(depth++);
+                i++;
+                break;
+            }
+        }
+        skip_to(Math.min(i+1, text.length));
+        emit('template', text.slice(start, pos), start_line, start);
+    };
+    let regexp_allowed = ()=>!prev
+        || prev.type=='punctuator' && prev.value!=')' && prev.value!=']'
+        || prev.type=='name' && BEFORE_REGEXP.includes(prev.value);
+    if (text.startsWith('#!'))
+        skip_to(line_end(0));
+    while (pos<text.length)
+    {
+        let c = text[pos], next = text[pos+1];
+        if (/\s/.test(c))
+            skip_to(pos+1);
+        else if (c=='/' && next=='/')
+            skip_to(line_end(pos));
+        else if (c=='/' && next=='*')
+            skip_to(find(/\*\//g, pos+2));
+        else if (c=='"' || c=='\'')
+        {
+            let i = pos+1;
+            for (; i<text.length && text[i]!=c && text[i]!='\n'; i++)
+            {
+                if (text[i]=='\\')
+                    i++;
+            }
+            let start = pos, start_line = line;
+            skip_to(Math.min(i+1, text.length));
+            emit('string', text.slice(start, pos), start_line, start);
+        }
+        else if (c=='`')
+            template(pos);
+        else if (c=='}' && templates.length
+            && templates[templates.length-1]==depth-1)
+        {
+            templates.pop();
+            depth--;
+            template(pos);
+        }
+        else if (c=='/' && regexp_allowed())
+        {
+            let i = pos+1, in_class = false;
+            for (; i<text.length && text[i]!='\n'; i++)
+            {
+                if (text[i]=='\\')
+                    i++;
+                else if (text[i]=='[')
+                    in_class = true;
+                else if (text[i]==']')
+                    in_class = false;
+                else if (text[i]=='/' && !in_class)
+                    break;
+            }
+            let end = find(/[\w$]*/g, i+1), start = pos;
+            pos = end;
+            emit('regexp', text.slice(start, end), line, start);
+        }
+        else if (/[\d]/.test(c) || c=='.' && /\d/.test(next))
+        {
+            let end = find(/[\w.]*/g, pos);
+            if (/[eE]$/.test(text.slice(pos, end)) && /[+-]/.test(text[end]))
+                end = find(/[\w.]*/g, end+1);
+            emit('number', text.slice(pos, end), line, pos);
+            pos = end;
+        }
+        else if (/[\w$\\]/.test(c) || c>'\x7f')
+        {
+            let end = find(/(?:[\w$]|\\u[\da-fA-F{}]+|[^\x00-\x7f])*/g, pos);
+            emit('name', text.slice(pos, Math.max(end, pos+1)), line, pos);
+            pos = Math.max(end, pos+1);
+        }
+        else
+        {
+            let value = PUNCTUATORS.find(p=>text.startsWith(p, pos)) || c;
+            // a?.5:1 is a conditional with a number
+            if (value=='?.' && /\d/.test(text[pos+2]))
+                value = '?';
+            if ('([{'.includes(value))
+                depth++;
+            else if (')]}'.includes(value))
+                depth--;
+            emit('punctuator', value, line, pos);
+            pos += value.length;
+        }
+    }
+}
+
+module.exports = {tokenize};
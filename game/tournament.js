@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+'use strict'; /*jslint node:true*/
+const child_process = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const standings = require('./standings.js');
+const getopt = require('node-getopt').create([
+    ['s', 'seeds=LIST',
+        'comma-separated list of seeds and/or ranges, e.g. 1,5,10-20'],
+    ['o', 'out=DIR', 'directory for game logs (default: res)'],
+    ['j', 'jobs=N', 'number of games to run in parallel (default: CPUs)'],
+    ['g', 'geometry=WxH', 'set cave geometry (default: 40x22)'],
+    ['b', 'butterflies=N', 'number of butterflies (default: 3)'],
+    ['B', 'fireflies=N', 'number of fireflies (default: 0)'],
+    ['i', 'interval=MS',
+        'interval between frames in ms (alternative to --fps)'],
+    ['F', 'fps=N', 'frames per second (alternative to --interval)'],
+    ['m', 'max-speed', 'advance frames after every move without waiting'],
+    ['t', 'time=SEC', 'time limit in seconds (alternative to --frames)'],
+    ['T', 'frames=N', 'time limit in frames (default: 1200)'],
+    ['', 'magic-wall=N',
+        'number of frames magic walls (=) stay active (default: 200)'],
+    ['Q', 'quota=N',
+        'classic mode: collect N diamonds to open the exit (E) and leave'],
+    ['', 'scoring=FILE.json',
+        'scoring rules from a JSON file or an inline JSON object'
+        +' (see jsdash.js --help)'],
+    ['', 'ai-viewport=WxH',
+        'send AI only the WxH part of the cave around its player'],
+    ['', 'fog=SPEC',
+        'fog of war for AI: radius N, line of sight (sight) or both (sight:N)'],
+    ['', 'move-ms=N', 'max CPU time of a script per move in ms'],
+    ['', 'total-ms=N', 'total CPU time budget of a script in ms'],
+    ['', 'init-ms=N', 'max CPU time for loading a script in ms'],
+    ['', 'over-budget=POLICY',
+        'when a script exceeds a CPU limit: skip, end or forfeit'
+        +' (see jsdash.js --help)'],
+    ['', 'max-heap=MB', 'heap size limit of every script in MB'],
+    ['', 'ai-seed=N', 'seed Math.random() of every script'],
+    ['', 'virtual-clock=MS', 'give every script a virtual clock'
+        +' (see jsdash.js --help)'],
+    ['', 'strict-submission',
+        'require every script to be a single file not importing other files'],
+    ['u', 'unsafe', 'use unsafe solution loader without VM'],
+    ['f', 'force', 'override Node.js version check'],
+    ['h', 'help', 'show this text'],
+]).bindHelp(`Usage: node tournament.js [OPTION...] SCRIPT.js...
+
+[[OPTIONS]]
+
+Play every AI script on every seed headlessly and summarize the results.
+
+Every game is run by jsdash.js in a separate process, and its log is written
+into OUT/ID/SEED.log, where ID is the name of the directory containing the
+script if the script is named solution.js (as in the submissions directory),
+or the name of the script without the extension otherwise.
+
+When all the games are finished, Markdown standings tables are printed.`);
+
+const forwarded_opts = ['geometry', 'butterflies', 'fireflies', 'interval',
+    'fps', 'max-speed', 'time', 'frames', 'magic-wall', 'quota', 'scoring',
+    'ai-viewport', 'fog', 'move-ms', 'total-ms', 'init-ms', 'over-budget',
+    'max-heap', 'ai-seed', 'virtual-clock', 'strict-submission', 'unsafe',
+    'force'];
+
+function script_id(script){
+    let name = path.basename(script);
+    if (name=='solution.js')
+        return path.basename(path.dirname(path.resolve(script)));
+    return name.replace(/\.[^.]*$/, '');
+}
+
+// fs.mkdirSync() creating the missing parents too, which Node.js v8 cannot do
+function mkdirs(dir){
+    if (fs.existsSync(dir))
+        return;
+    mkdirs(path.dirname(dir));
+    fs.mkdirSync(dir);
+}
+
+class Tournament {
+    constructor(scripts, seeds, opt){
+        this.scripts = scripts;
+        this.seeds = seeds;
+        this.out = opt.out||'res';
+        this.jobs = +opt.jobs||os.cpus().length;
+        this.args = [];
+        for (let key of forwarded_opts)
+        {
+            if (opt[key]===true)
+                this.args.push(`--${key}`);
+            else if (opt[key]!==undefined)
+                this.args.push(`--${key}=${opt[key]}`);
+        }
+        this.pending = [];
+        for (let script of scripts)
+        {
+            let id = script_id(script);
+            for (let seed of seeds)
+                this.pending.push({script, id, seed});
+        }
+        this.total = this.pending.length;
+        this.finished = 0;
+        this.results = [];
+    }
+    run(callback){
+        this.callback = callback;
+        let jobs = Math.min(this.jobs, this.pending.length);
+        if (!jobs)
+            return callback(this.results);
+        for (let i = 0; i<jobs; i++)
+            this.next();
+    }
+    next(){
+        let task = this.pending.shift();
+        if (!task)
+            return;
+        let dir = path.join(this.out, task.id);
+        mkdirs(dir);
+        task.log_file = path.join(dir, `${task.seed}.log`);
+        // a log of an earlier tournament is not the result of this game
+        if (fs.existsSync(task.log_file))
+            fs.unlinkSync(task.log_file);
+        let args = [path.join(__dirname, 'jsdash.js'), `--ai=${task.script}`,
+            `--seed=${task.seed}`, `--log=${task.log_file}`, '--quiet']
+            .concat(this.args);
+        child_process.execFile(process.execPath, args,
+            {maxBuffer: 16*1024*1024}, (err, stdout, stderr)=>{
+                this.ondone(task, err, stderr);
+            });
+    }
+    ondone(task, err, stderr){
+        let log;
+        try {
+            // jsdash.js exits with 1 after logging a game ending with an
+            // error, and without a log if it failed otherwise
+            if (err && err.code!==1)
+                throw err;
+            log = JSON.parse(fs.readFileSync(task.log_file, 'utf8'));
+        } catch(e){
+            log = {outcome: 'failed',
+                error: String(stderr||(err && err.message)||e).split('\n')};
+        }
+        this.results.push({id: task.id, seed: task.seed, log,
+            file: task.log_file});
+        this.finished++;
+        let status = log.error ? 'crashed' : `score ${log.score}`;
+        console.error(`[${this.finished}/${this.total}] ${task.id}`
+            +` seed ${task.seed}: ${status}`);
+        if (this.finished==this.total)
+            return this.callback(this.results);
+        this.next();
+    }
+}
+
+function main()
+{
+    let {options, argv} = getopt.parseSystem();
+    if (!argv.length || !options.seeds)
+        return getopt.showHelp();
+    let seeds;
+    try { seeds = standings.parse_seeds(options.seeds);
+    } catch(e){
+        console.error(e.message);
+        process.exit(1);
+    }
+    let ids = argv.map(script_id);
+    for (let i = 0; i<ids.length; i++)
+    {
+        if (ids.indexOf(ids[i])!=i)
+        {
+            console.error(`Duplicate script ID: ${ids[i]}`);
+            process.exit(1);
+        }
+    }
+    let tournament = new Tournament(argv, seeds, options);
+    mkdirs(tournament.out);
+    tournament.run(results=>{
+        console.log(standings.render(standings.aggregate(results, seeds)));
+    });
+}
+
+main();
@@ -0,0 +1,307 @@
+'use strict'; /*jslint node:true*/
+const child_process = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+const {tokenize} = require('./tokenize.js');
+
+module.exports = {validate, check_static};
+
+// Checks of AI scripts against the rules of the contest (see
+// blog/01-rules.md): the static ones read the script without running it, and
+// the dynamic ones play a short smoke game with jsdash.js --strict-submission.
+
+const MAX_SIZE = 64*1024*1024;
+const NODE_VERSION = 'v8.1.3'; // the version the contest used for testing
+const SMOKE = {seed: 1, frames: 200, init_ms: 5000, move_ms: 1000,
+    timeout_ms: 10*60*1000};
+
+// built-ins added after Node.js v8, as method names and global names
+const NEW_METHODS = ['flat', 'flatMap', 'fromEntries', 'matchAll',
+    'replaceAll', 'trimStart', 'trimEnd', 'allSettled', 'hasOwn', 'findLast',
+    'findLastIndex'];
+const NEW_GLOBALS = ['globalThis', 'BigInt', 'BigInt64Array', 'BigUint64Array',
+    'structuredClone', 'queueMicrotask', 'AggregateError', 'WeakRef',
+    'FinalizationRegistry'];
+
+// Returns the syntax of text that Node.js v8 does not support, as a map from
+// a description of the feature to the lines where it is used, and the uses of
+// built-ins added later (which may also be methods of the script's own
+// objects) and of require()
+function scan(text){
+    let syntax = new Map(), builtins = new Map(), requires = [];
+    let add = (map, name, line)=>{
+        if (!map.has(name))
+            map.set(name, []);
+        let list = map.get(name);
+        if (list[list.length-1]!==line)
+            list.push(line);
+    };
+    let stack = []; // open brackets, and 'class' for class bodies
+    let class_depth, member; // the tokens of a class member so far
+    let prev = {}, prev2 = {};
+    tokenize(text, (type, value, line)=>{
+        let feature = name=>add(syntax, name, line);
+        let after_dot = prev.value=='.' || prev.value=='?.';
+        let top = stack[stack.length-1];
+        if (type=='punctuator')
+        {
+            if (value=='?.')
+                feature('optional chaining (?.)');
+            else if (value=='??' || value=='??=')
+                feature('nullish coalescing (??)');
+            else if (value=='&&=' || value=='||=')
+                feature('logical assignment (&&=, ||=)');
+            else if (value=='...' && top=='{')
+                feature('object rest/spread properties');
+            else if (value=='*' && (prev.value=='async'
+                || prev.value=='function' && prev2.value=='async'))
+            {
+                feature('async generators');
+            }
+            else if (value=='#')
+                feature('private class members (#)');
+            else if (value=='{' && prev.value=='catch')
+                feature('optional catch binding');
+            if (value=='(' && prev.value=='require' && prev.keyword
+                && prev2.value!='function')
+            {
+                requires.push(line);
+            }
+            if (value=='(' && (prev2.value=='.' || prev2.value=='?.')
+                && NEW_METHODS.includes(prev.value))
+            {
+                add(builtins, `.${prev.value}()`, line);
+            }
+        }
+        else if (type=='name' && !after_dot)
+        {
+            if (value=='await' && prev.value=='for')
+                feature('for await');
+            else if (value=='export' && !stack.length)
+                feature('ES modules (import and export)');
+            else if (value=='class')
+                class_depth = stack.length;
+            else if (NEW_GLOBALS.includes(value))
+                add(builtins, value, line);
+        }
+        else if (type=='number')
+        {
+            if (/^[^.eExX]*n$|^0[xXoObB][\da-fA-F_]*n$/.test(value))
+                feature('BigInt literals');
+            if (value.includes('_'))
+                feature('numeric separators');
+        }
+        else if (type=='regexp')
+        {
+            let flags = /[a-z]*$/.exec(value)[0];
+            if (/\(\?<[^=!]/.test(value))
+                feature('regular expression named groups');
+            if (/\(\?<[=!]/.test(value))
+                feature('regular expression lookbehind');
+            if (/[sdv]/.test(flags))
+                feature(`regular expression flag ${flags.match(/[sdv]/)[0]}`);
+            if (/\\[pP]\{/.test(value) && flags.includes('u'))
+                feature('regular expression property escapes');
+        }
+        // import is a statement, import() or import.meta, or a property name
+        if (prev.value=='import' && prev.keyword && value!=':')
+        {
+            if (value=='(')
+                feature('dynamic import()');
+            else if (value=='.')
+                feature('import.meta');
+            else if (!stack.length)
+                feature('ES modules (import and export)');
+        }
+        if (top=='class' && type!='template')
+        {
+            // the members of class bodies: fields and static blocks are new
+            if (value=='(')
+                member = undefined; // a method
+            else if (member && member.length && (value=='=' || value==';'
+                || value=='}'))
+            {
+                feature('class fields');
+                member = undefined; // up to the end of the initializer
+            }
+            else if (value=='{' && member && member.join(' ')=='static')
+                feature('class static blocks');
+            if (value==';')
+                member = [];
+            else if (member && !'{}'.includes(value))
+                member.push(value);
+        }
+        if (value=='{' || value=='(' || value=='[')
+        {
+            if (value=='{' && class_depth===stack.length)
+            {
+                stack.push('class');
+                member = [];
+                class_depth = undefined;
+            }
+            else
+                stack.push(value);
+        }
+        else if (value=='}' || value==')' || value==']')
+        {
+            stack.pop();
+            if (value=='}' && stack[stack.length-1]=='class')
+                member = []; // after a method
+        }
+        else if (type=='template')
+        {
+            if (value.startsWith('}'))
+                stack.pop();
+            if (value.endsWith('${'))
+                stack.push('${');
+        }
+        if (value==':' && class_depth!==undefined && prev.value=='class')
+            class_depth = undefined; // a property named class
+        prev2 = prev;
+        prev = {type, value, keyword: type=='name' && !after_dot};
+    });
+    return {syntax, builtins, requires};
+}
+
+function lines(list){
+    return `line${list.length>1 ? 's' : ''} ${list.slice(0, 5).join(', ')}`
+        +(list.length>5 ? ` and ${list.length-5} more` : '');
+}
+
+// Returns an error message if text does not compile as a CommonJS module
+// (without running it), or undefined
+function check_syntax(text, filename){
+    try {
+        new vm.Script('(function(exports, require, module, __filename,'
+            +` __dirname){${text.replace(/^#!.*/, '')}\n})`, {filename});
+    } catch(e){
+        let m = /:(\d+)\n/.exec(e.stack);
+        return `${e.message}${m ? ` (line ${m[1]})` : ''}`;
+    }
+}
+
+// Runs the checks not requiring the script to run, returning a list of
+// results {status, check, detail} with status 'pass', 'warn', 'fail' or
+// 'skip', and whether the script can be run
+function check_static(script){
+    let res = [];
+    let result = (status, check, detail)=>res.push({status, check, detail});
+    let stat;
+    try { stat = fs.statSync(script); } catch(e){}
+    if (!stat || !stat.isFile())
+    {
+        result('fail', 'single JS file', !stat ? 'not found'
+            : 'a directory, not a file');
+        return {results: res, runnable: false};
+    }
+    result('pass', 'single JS file');
+    let size = stat.size<1024 ? `${stat.size} bytes`
+        : stat.size<1024*1024 ? `${(stat.size/1024).toFixed(1)} KiB`
+        : `${(stat.size/1024/1024).toFixed(1)} MiB`;
+    if (stat.size>MAX_SIZE)
+        result('fail', 'size', `${size}, more than ${MAX_SIZE/1024/1024} MiB`);
+    else
+        result('pass', 'size', size);
+    let text = fs.readFileSync(script, 'utf8').replace(/^\ufeff/, '');
+    let error = check_syntax(text, script);
+    result(error ? 'fail' : 'pass', 'valid JavaScript', error);
+    let {syntax, builtins, requires} = scan(text);
+    result(syntax.size ? 'fail' : 'pass', `Node.js ${NODE_VERSION} syntax`,
+        Array.from(syntax, ([name, list])=>`${name} at ${lines(list)}`)
+        .join('; ')||undefined);
+    result(builtins.size ? 'warn' : 'pass', `Node.js ${NODE_VERSION} built-ins`,
+        builtins.size ? 'newer built-ins (unless defined by the script): '
+        +Array.from(builtins, ([name, list])=>`${name} at ${lines(list)}`)
+        .join('; ') : undefined);
+    result(requires.length ? 'warn' : 'pass', 'no require() calls',
+        requires.length ? `require() at ${lines(requires)}, a violation if`
+        +' it is ever called' : undefined);
+    return {results: res, runnable: true};
+}
+
+// Plays the smoke game with jsdash.js in a child process, calling
+// callback(log, stderr), with log undefined if the game did not finish
+function smoke_game(script, callback){
+    let log_file = path.join(os.tmpdir(),
+        `jsdash-validate-${process.pid}.log`);
+    let args = [path.join(__dirname, 'jsdash.js'), `--ai=${script}`,
+        '--strict-submission', `--seed=${SMOKE.seed}`,
+        `--ai-seed=${SMOKE.seed}`, `--frames=${SMOKE.frames}`, '--still',
+        '--max-speed', `--init-ms=${SMOKE.init_ms}`,
+        `--move-ms=${SMOKE.move_ms}`, '--over-budget=skip', '--quiet',
+        `--log=${log_file}`, '--force'];
+    child_process.execFile(process.execPath, args,
+        {maxBuffer: 16*1024*1024, timeout: SMOKE.timeout_ms},
+        (err, stdout, stderr)=>{
+            let log;
+            try {
+                log = JSON.parse(fs.readFileSync(log_file, 'utf8'));
+                fs.unlinkSync(log_file);
+            } catch(e){}
+            callback(log, err && err.killed
+                ? `killed after ${SMOKE.timeout_ms/1000} s` : stderr);
+        });
+}
+
+// Checks script against the rules of the contest, calling callback(results)
+// with the results of the checks (see check_static())
+function validate(script, callback){
+    let {results, runnable} = check_static(script);
+    let result = (status, check, detail)=>
+        results.push({status, check, detail});
+    let play_check = 'exports a generator play()';
+    let game_check = `smoke game (seed ${SMOKE.seed}, ${SMOKE.frames}`
+        +' frames)';
+    if (!runnable)
+    {
+        for (let check of ['no require() at run time', play_check,
+            game_check])
+        {
+            result('skip', check);
+        }
+        return callback(results);
+    }
+    smoke_game(script, (log, stderr)=>{
+        if (!log)
+        {
+            let error = String(stderr||'no log').trim().split('\n')[0];
+            result('skip', 'no require() at run time');
+            result('skip', play_check);
+            result('fail', game_check, `did not finish: ${error}`);
+            return callback(results);
+        }
+        let violation = log.violation||{};
+        let perf = log.ai_perf||{};
+        if (/^(require|process)$/.test(violation.type))
+            result('fail', 'no require() at run time', violation.message);
+        else
+            result('pass', 'no require() at run time');
+        if (violation.type=='submission')
+            result('fail', play_check, violation.message);
+        else if (perf.init_ms===undefined)
+            result('skip', play_check, 'the script did not load');
+        else
+            result('pass', play_check);
+        if (log.error)
+        {
+            // the message rather than the location of a stack trace
+            let error = [].concat(log.error);
+            error = error.find(line=>/^\w*(Error|Violation)\b/.test(line))
+                || error.find(line=>/\S/.test(line));
+            let frame = log.error_frame===undefined ? ''
+                : ` on frame ${log.error_frame}`;
+            result('fail', game_check, `ended with an error${frame}: ${error}`);
+        }
+        else
+        {
+            let slow = (perf.violations||[]).length;
+            result(slow ? 'warn' : 'pass', game_check, `${log.outcome},`
+                +` score ${log.score}, ${log.duration_frames} frames`
+                +(slow ? `, ${slow} moves over ${SMOKE.move_ms} ms of CPU`
+                +' time' : ''));
+        }
+        callback(results);
+    });
+}
@@ -0,0 +1,140 @@
+'use strict'; /*jslint node:true*/
+const fs = require('fs');
+const path = require('path');
+const game = require('./game.js');
+const generate = require('./generate.js');
+
+module.exports = {verify_log, verify_file, verify_path};
+
+const STATS = ['score', 'diamonds_collected', 'butterflies_killed',
+    'fireflies_killed', 'streaks', 'longest_streak', 'completed', 'time_bonus',
+    'duration_frames'];
+// statistics missing from older logs or from logs of other game modes
+const OPTIONAL_STATS = ['fireflies_killed', 'completed', 'time_bonus'];
+
+// Re-simulates a logged game and returns a list of discrepancies (empty if
+// the log is consistent), or undefined if the game ended with an error and
+// there is nothing to verify.
+function verify_log(log){
+    if (log.error || log.outcome=='error')
+        return;
+    if (log.levels)
+        return verify_campaign(log);
+    let res = [];
+    if (log.cave_source=='generated')
+    {
+        let world = generate.generate(log.seed, {
+            w: log.geometry.w, h: log.geometry.h,
+            ingredients: log.ingredients, butterflies: log.butterflies,
+            fireflies: log.fireflies||0, quota: log.quota,
+            players: log.players ? log.players.length : 1,
+            frames: log.limit_frames, fps: log.fps});
+        let cave = world.render(false, false);
+        if (cave.join('\n')!=log.cave.join('\n'))
+            res.push(`cave does not match seed ${log.seed}`);
+    }
+    let multi = Array.isArray(log.commands);
+    let logged = multi ? log.commands : [log.commands];
+    let length = Math.max(...logged.map(commands=>commands.length));
+    let sim = new game.Simulation(generate.from_log(log));
+    for (let frame = 0; frame<length; frame++)
+    {
+        if (sim.is_final())
+            break;
+        sim.step(multi ? logged.map(commands=>commands[frame]||' ')
+            : logged[0][frame]);
+    }
+    if (log.outcome=='game-over')
+    {
+        while (!sim.is_final())
+            sim.step(' ');
+    }
+    let simulated = multi ? sim.commands : [sim.commands];
+    logged.forEach((commands, p)=>{
+        let prefix = multi ? `player ${p+1}: ` : '';
+        if (simulated[p]==commands)
+            return;
+        let i = 0;
+        while (simulated[p][i]==commands[i])
+            i++;
+        res.push(`${prefix}commands differ from frame ${i}`);
+    });
+    let duration = Math.max(...simulated.map(commands=>commands.length));
+    (multi ? log.players : [log]).forEach((entry, p)=>{
+        let prefix = multi ? `player ${p+1}: ` : '';
+        let stats = sim.stats(p);
+        stats.duration_frames = duration;
+        for (let key of STATS)
+        {
+            // per-player entries omit the duration of the game
+            if (entry[key]===undefined && (OPTIONAL_STATS.includes(key)
+                || multi && key=='duration_frames'))
+            {
+                continue;
+            }
+            if (stats[key]!==entry[key])
+            {
+                res.push(`${prefix}${key}: logged ${entry[key]},`
+                    +` simulated ${stats[key]}`);
+            }
+        }
+    });
+    if (multi && log.duration_frames!==duration)
+    {
+        res.push(`duration_frames: logged ${log.duration_frames},`
+            +` simulated ${duration}`);
+    }
+    return res;
+}
+
+function verify_campaign(log){
+    let res = [], score = 0;
+    log.levels.forEach((level, i)=>{
+        res.push(...(verify_log(level)||[]).map(s=>`level ${i+1}: ${s}`));
+        score += level.score;
+    });
+    if (score!==log.score)
+        res.push(`score: logged ${log.score}, sum of levels ${score}`);
+    return res;
+}
+
+function verify_file(file){
+    let log;
+    try {
+        log = JSON.parse(fs.readFileSync(file, 'utf8'));
+        return verify_log(log);
+    } catch(e){
+        return [`cannot verify: ${e.message}`];
+    }
+}
+
+// Verifies a log file or all *.log and *.json files under a directory,
+// calling onresult(file, discrepancies) for each of them. Returns totals.
+function verify_path(target, onresult){
+    let totals = {verified: 0, failed: 0, skipped: 0};
+    let visit = file=>{
+        if (fs.statSync(file).isDirectory())
+        {
+            for (let name of fs.readdirSync(file).sort())
+            {
+                let child = path.join(file, name);
+                if (fs.statSync(child).isDirectory()
+                    || /\.(log|json)$/.test(name))
+                {
+                    visit(child);
+                }
+            }
+            return;
+        }
+        let res = verify_file(file);
+        if (!res)
+            totals.skipped++;
+        else if (res.length)
+            totals.failed++;
+        else
+            totals.verified++;
+        onresult(file, res);
+    };
+    visit(target);
+    return totals;
+}
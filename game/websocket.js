@@ -0,0 +1,211 @@
+'use strict'; /*jslint node:true*/
+const crypto = require('crypto');
+const events = require('events');
+const net = require('net');
+
+const GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const OP_CONTINUATION = 0, OP_TEXT = 1, OP_BINARY = 2, OP_CLOSE = 8,
+    OP_PING = 9, OP_PONG = 10;
+const STATUS_TOO_BIG = 1009;
+// limit of a received message (with all of its fragments), far above the size
+// of any screen, so that a peer cannot make the buffer grow without bounds
+const MAX_MESSAGE = 16*1024*1024;
+
+function accept_key(key){
+    return crypto.createHash('sha1').update(key+GUID).digest('base64'); }
+
+// Minimal RFC 6455 connection over a TCP socket, for text messages only.
+// It looks like a text stream to its users: every received message is emitted
+// as a 'data' event followed by a newline, and every line passed to write()
+// is sent as a separate message.
+class WebSocket extends events.EventEmitter {
+    constructor(socket, client){
+        super();
+        this.socket = socket;
+        this.client = client; // clients must mask their frames
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.fragments_size = 0;
+        this.closed = false;
+        socket.on('data', data=>this.ondata(data));
+        socket.on('error', err=>this.emit('error', err));
+        socket.on('close', ()=>this.onclose());
+    }
+    // completes the server side of the handshake for the HTTP request head
+    static accept(socket, head){
+        let m = /\r\nsec-websocket-key:\s*(\S+)/i.exec(head);
+        if (!/^GET /.test(head) || !m)
+        {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+        socket.write('HTTP/1.1 101 Switching Protocols\r\n'
+            +'Upgrade: websocket\r\nConnection: Upgrade\r\n'
+            +`Sec-WebSocket-Accept: ${accept_key(m[1])}\r\n\r\n`);
+        return new WebSocket(socket, false);
+    }
+    // connects to a server, calling callback(err, ws)
+    static connect(host, port, callback){
+        let key = crypto.randomBytes(16).toString('base64');
+        let socket = net.connect(port, host, ()=>{
+            socket.write(`GET / HTTP/1.1\r\nHost: ${host}:${port}\r\n`
+                +'Upgrade: websocket\r\nConnection: Upgrade\r\n'
+                +`Sec-WebSocket-Key: ${key}\r\nSec-WebSocket-Version: 13`
+                +'\r\n\r\n');
+        });
+        let head = '';
+        let onerror = err=>callback(err);
+        let ondata = data=>{
+            head += data.toString('latin1');
+            let end = head.indexOf('\r\n\r\n');
+            if (end<0)
+                return;
+            socket.removeListener('data', ondata);
+            socket.removeListener('error', onerror);
+            let m = /\r\nsec-websocket-accept:\s*(\S+)/i.exec(head);
+            if (!/^HTTP\/1\.1 101 /.test(head) || !m || m[1]!=accept_key(key))
+            {
+                socket.destroy();
+                return callback(new Error('WebSocket handshake failed'));
+            }
+            let ws = new WebSocket(socket, true);
+            callback(null, ws);
+            let rest = Buffer.from(head.slice(end+4), 'latin1');
+            if (rest.length)
+                ws.ondata(rest);
+        };
+        socket.on('data', ondata);
+        socket.on('error', onerror);
+    }
+    setEncoding(){} // messages are always text
+    write(text){
+        for (let line of text.split('\n'))
+        {
+            if (line)
+                this.send_frame(OP_TEXT, Buffer.from(line, 'utf8'));
+        }
+    }
+    end(){
+        if (!this.closed)
+            this.send_frame(OP_CLOSE, Buffer.alloc(0));
+        this.socket.end();
+    }
+    send_frame(opcode, payload){
+        if (this.closed)
+            return;
+        let len = payload.length, header;
+        if (len<126)
+        {
+            header = Buffer.alloc(2);
+            header[1] = len;
+        }
+        else if (len<0x10000)
+        {
+            header = Buffer.alloc(4);
+            header[1] = 126;
+            header.writeUInt16BE(len, 2);
+        }
+        else
+        {
+            header = Buffer.alloc(10);
+            header[1] = 127;
+            header.writeUInt32BE(Math.floor(len/0x100000000), 2);
+            header.writeUInt32BE(len%0x100000000, 6);
+        }
+        header[0] = 0x80|opcode; // FIN
+        if (this.client)
+        {
+            let mask = crypto.randomBytes(4);
+            header[1] |= 0x80;
+            header = Buffer.concat([header, mask]);
+            payload = Buffer.from(payload);
+            for (let i = 0; i<len; i++)
+                payload[i] ^= mask[i%4];
+        }
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+    ondata(data){
+        this.buffer = Buffer.concat([this.buffer, data]);
+        while (!this.closed && this.buffer.length>=2)
+        {
+            let b = this.buffer;
+            let fin = b[0]&0x80, opcode = b[0]&0x0f, masked = b[1]&0x80;
+            let len = b[1]&0x7f, pos = 2;
+            if (len==126)
+            {
+                if (b.length<4)
+                    return;
+                len = b.readUInt16BE(2);
+                pos = 4;
+            }
+            else if (len==127)
+            {
+                if (b.length<10)
+                    return;
+                len = b.readUInt32BE(2)*0x100000000+b.readUInt32BE(6);
+                pos = 10;
+            }
+            if (this.fragments_size+len>MAX_MESSAGE)
+            {
+                return this.fail(STATUS_TOO_BIG,
+                    `WebSocket message over ${MAX_MESSAGE} bytes`);
+            }
+            let mask;
+            if (masked)
+            {
+                mask = b.slice(pos, pos+4);
+                pos += 4;
+            }
+            if (b.length<pos+len)
+                return;
+            let payload = Buffer.from(b.slice(pos, pos+len));
+            this.buffer = b.slice(pos+len);
+            if (mask)
+            {
+                for (let i = 0; i<len; i++)
+                    payload[i] ^= mask[i%4];
+            }
+            this.onframe(fin, opcode, payload);
+        }
+    }
+    onframe(fin, opcode, payload){
+        switch (opcode)
+        {
+        case OP_CONTINUATION: case OP_TEXT: case OP_BINARY:
+            this.fragments.push(payload);
+            this.fragments_size += payload.length;
+            if (fin)
+            {
+                let text = Buffer.concat(this.fragments).toString('utf8');
+                this.fragments = [];
+                this.fragments_size = 0;
+                this.emit('data', text+'\n');
+            }
+            break;
+        case OP_CLOSE:
+            this.send_frame(OP_CLOSE, Buffer.alloc(0));
+            this.closed = true;
+            this.socket.end();
+            break;
+        case OP_PING: this.send_frame(OP_PONG, payload); break;
+        }
+    }
+    // closes the connection with the status code, reporting message as an error
+    fail(status, message){
+        let payload = Buffer.alloc(2);
+        payload.writeUInt16BE(status, 0);
+        this.send_frame(OP_CLOSE, payload);
+        this.closed = true;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.fragments_size = 0;
+        this.socket.end();
+        this.emit('error', new Error(message));
+    }
+    onclose(){
+        this.closed = true;
+        this.emit('close');
+    }
+}
+
+module.exports = {WebSocket};